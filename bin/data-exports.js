@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+const { runCommand } = require("../utils/cli");
+
+// Subcommands, each also runnable as its own script
+const COMMANDS = Object.fromEntries(
+  [
+    require("../food/orders").command,
+    require("../food/wolt-stats").command,
+    require("../food/wolt-export").command,
+    require("../food/rates").command,
+    require("../food/migrate").command,
+    require("../food/redact").command,
+    require("../food/encrypt").command,
+    require("../food/rotate-key").command,
+    require("../food/wolt-aliases").command,
+  ].map((command) => [command.name, command])
+);
+
+// Overview of the subcommands
+const printUsage = () => {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  console.log(
+    [
+      "Usage: data-exports <command> [options]",
+      "",
+      "Commands:",
+      ...Object.values(COMMANDS).map(
+        (command) => `  ${command.name.padEnd(width)}  ${command.description}`
+      ),
+      "",
+      "Run data-exports <command> --help for the options of a command.",
+    ].join("\n")
+  );
+};
+
+const [name, ...argv] = process.argv.slice(2);
+
+if (!name || name === "--help" || name === "-h" || name === "help") {
+  printUsage();
+} else if (!COMMANDS[name]) {
+  console.error(
+    `Error: unknown command "${name}", expected one of: ${Object.keys(
+      COMMANDS
+    ).join(", ")}`
+  );
+  process.exitCode = 1;
+} else {
+  runCommand(COMMANDS[name], argv, `data-exports ${name}`).catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
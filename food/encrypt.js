@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const { runScript } = require("../utils/cli");
+const { CACHE_FILE } = require("../utils/currency");
+const {
+  CIPHER,
+  FORMAT_VERSION,
+  KEYRING_FILE,
+  KEY_FILE_ENV,
+  PASSPHRASE_ENV,
+  createKeyEntry,
+  encryptContents,
+  generateKeyFile,
+  getFileKeyId,
+  readKeyring,
+  readSecret,
+  setWriteKey,
+  unlockKey,
+} = require("../utils/encryption");
+const { dataPath } = require("../utils/paths");
+const {
+  readContents,
+  removeFile,
+  writeFileAtomic,
+  writeJson,
+} = require("../utils/storage");
+const { SERVICES, getDataFiles, getProvider } = require("./providers");
+const { getStateFiles } = require("./providers/sync");
+
+const OPTIONS = {
+  "generate-key": {
+    type: "string",
+    placeholder: "file",
+    description: `Create a new key file and encrypt with it instead of ${PASSPHRASE_ENV} or ${KEY_FILE_ENV}`,
+  },
+  decrypt: {
+    type: "boolean",
+    description: "Decrypt the data and turn encryption off",
+  },
+};
+
+/**
+ * Files the tools keep in the data directory, which are encrypted: every
+ * service's data files, sync state and raw archive, and the exchange rate
+ * cache. Settings edited by hand (aliases, budgets, categories, redaction)
+ * stay plain.
+ */
+function listDataFiles() {
+  const files = [dataPath(CACHE_FILE)];
+  for (const provider of SERVICES.map(getProvider)) {
+    const { syncState, checkpoint, rawDir } = getStateFiles(provider);
+    files.push(
+      ...Object.values(getDataFiles(provider)),
+      ...Object.values(getDataFiles(provider, true)),
+      syncState,
+      checkpoint
+    );
+    if (fs.existsSync(rawDir)) {
+      files.push(
+        ...fs
+          .readdirSync(rawDir)
+          .filter((file) => file.endsWith(".json.gz"))
+          .sort()
+          .map((file) => `${rawDir}/${file}`)
+      );
+    }
+  }
+  return files.filter((file) => fs.existsSync(file));
+}
+
+/**
+ * Rewrite files with the key set with setWriteKey (plain for null),
+ * skipping those already encrypted with `keyId` (plain ones for null).
+ * Every file is replaced atomically, so an interrupted run can be repeated.
+ * Returns the number of files rewritten.
+ */
+function rewriteFiles(files, keyId) {
+  let count = 0;
+  for (const file of files) {
+    if (getFileKeyId(file) === keyId) continue;
+    writeFileAtomic(file, encryptContents(readContents(file)));
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Turn encryption on for the data directory and encrypt the data already
+ * exported, or decrypt it all with --decrypt. The secret comes from the
+ * environment (see utils/encryption.js) or a key file made with
+ * --generate-key.
+ */
+async function encryptData({ generateKey, decrypt }) {
+  const keyringFile = dataPath(KEYRING_FILE);
+  let keyring = readKeyring(keyringFile);
+
+  if (keyring?.next) {
+    console.error(
+      "Error: a key rotation was interrupted, finish it with rotate-key first"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  if (decrypt) {
+    if (!keyring) {
+      console.error("Error: the data is not encrypted");
+      process.exitCode = 1;
+      return;
+    }
+    unlockKey(keyring, readSecret(keyring));
+    setWriteKey(null);
+    const count = rewriteFiles(listDataFiles(), null);
+    // Last, so that an interrupted run can be repeated with the same key
+    removeFile(keyringFile);
+    console.log(chalk.green(`✓ Decrypted ${count} files, encryption is off`));
+    return;
+  }
+
+  if (keyring && generateKey) {
+    console.error(
+      "Error: the data is already encrypted, use rotate-key --generate-key to switch to a new key"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  let key;
+  if (keyring) {
+    // Files written before encryption was turned on, or by a run that was
+    // interrupted
+    key = unlockKey(keyring, readSecret(keyring));
+  } else {
+    if (generateKey) generateKeyFile(generateKey);
+    const secret = generateKey ? { keyFile: generateKey } : readSecret();
+    const entry = createKeyEntry(secret);
+    key = unlockKey(entry, secret);
+    keyring = {
+      version: FORMAT_VERSION,
+      cipher: CIPHER,
+      created_at: new Date().toISOString(),
+      ...entry,
+    };
+    // First, so that everything written from now on is encrypted
+    writeJson(keyringFile, keyring, { encrypt: false });
+  }
+
+  setWriteKey(key);
+  const files = listDataFiles();
+  const count = rewriteFiles(files, keyring.key_id);
+  console.log(
+    chalk.green(
+      `✓ Encrypted ${count} files with ${CIPHER}${
+        files.length > count
+          ? ` (${files.length - count} already were encrypted)`
+          : ""
+      }`
+    )
+  );
+
+  const secretHint = generateKey
+    ? `set ${KEY_FILE_ENV}=${path.resolve(generateKey)} (e.g. in .env)`
+    : `keep ${keyring.kdf === "scrypt" ? PASSPHRASE_ENV : KEY_FILE_ENV} set`;
+  console.log(
+    chalk.yellow(
+      `To read the data, ${secretHint}. Keep a copy of the ${
+        keyring.kdf === "scrypt" ? "passphrase" : "key file"
+      } somewhere safe: the data cannot be recovered without it.`
+    )
+  );
+}
+
+const command = {
+  name: "encrypt",
+  description: "Encrypt the data directory, or decrypt it with --decrypt",
+  options: OPTIONS,
+  run: encryptData,
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command, listDataFiles, rewriteFiles };
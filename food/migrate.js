@@ -0,0 +1,88 @@
+const chalk = require("chalk");
+const { runScript } = require("../utils/cli");
+const { SERVICES, getProvider } = require("./providers");
+const { migrateDataFile } = require("./providers/dataset");
+const { KINDS, MIGRATIONS, SCHEMA_VERSION } = require("./providers/schema");
+
+const OPTIONS = {
+  service: {
+    type: "string",
+    placeholder: "name",
+    choices: ["all", ...SERVICES],
+    default: "all",
+    description: "Delivery service whose files to upgrade",
+  },
+  check: {
+    type: "boolean",
+    description:
+      "Only validate the files and report the outdated ones, without writing",
+  },
+};
+
+/**
+ * Upgrade every exported orders and items file to the current schema in
+ * place, validating each record on the way. With --check, exits non-zero
+ * when a file would need upgrading.
+ */
+async function migrateFiles({ service, check }) {
+  const providers =
+    service === "all" ? SERVICES.map(getProvider) : [getProvider(service)];
+
+  let found = 0;
+  let outdated = 0;
+  for (const provider of providers) {
+    for (const all of [false, true]) {
+      for (const kind of KINDS) {
+        const result = await migrateDataFile(provider, kind, {
+          all,
+          dryRun: check,
+        });
+        if (!result) continue;
+        found++;
+
+        const { file, version, count } = result;
+        if (version === SCHEMA_VERSION) {
+          console.log(chalk.green(`✓ ${file}: up to date (${count} ${kind})`));
+          continue;
+        }
+        outdated++;
+        console.log(
+          chalk.yellow(
+            `${check ? "⚠️" : "⬆️"} ${file}: ${
+              check ? "uses" : "upgraded from"
+            } version ${version}${
+              check ? `, current is ${SCHEMA_VERSION}` : ` to ${SCHEMA_VERSION}`
+            } (${count} ${kind})`
+          )
+        );
+      }
+    }
+  }
+
+  if (!found) {
+    console.error("Error: no exported orders found, fetch them first");
+    process.exitCode = 1;
+    return;
+  }
+
+  if (outdated) {
+    console.log(chalk.gray("\nChanges since the older versions:"));
+    MIGRATIONS.forEach((migration) =>
+      console.log(
+        chalk.gray(`  ${migration.version}: ${migration.description}`)
+      )
+    );
+    if (check) process.exitCode = 1;
+  }
+}
+
+const command = {
+  name: "migrate",
+  description: `Upgrade exported data files to schema version ${SCHEMA_VERSION}`,
+  options: OPTIONS,
+  run: migrateFiles,
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command };
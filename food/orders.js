@@ -0,0 +1,69 @@
+const { runScript } = require("../utils/cli");
+const { ENV_FILE } = require("../utils/paths");
+const { createClassifier, loadCategoryRules } = require("./stats/categories");
+const { SERVICES, getProvider } = require("./providers");
+const { rebuildFromRaw, saveOrders, syncOrders } = require("./providers/sync");
+require("dotenv").config({ path: ENV_FILE });
+
+const OPTIONS = {
+  service: {
+    type: "string",
+    placeholder: "name",
+    choices: SERVICES,
+    default: "wolt",
+    description: "Delivery service to fetch from",
+  },
+  all: {
+    type: "boolean",
+    description: "Fetch the full history instead of the last year",
+  },
+  incremental: {
+    type: "boolean",
+    description: "Fetch only new orders and merge them into the full history",
+  },
+  fresh: {
+    type: "boolean",
+    description: "Start over instead of resuming an interrupted --all run",
+  },
+  "from-raw": {
+    type: "boolean",
+    description: "Rebuild the data files from the raw archive, offline",
+  },
+};
+
+/**
+ * Fetch orders from a delivery service into the data directory, in the
+ * mode picked by the options
+ */
+async function fetchService({ service, all, incremental, fresh, fromRaw }) {
+  let provider;
+  let classifier;
+  try {
+    provider = getProvider(service);
+    // Check credentials up front, unless working from the archive
+    if (!fromRaw) provider.authenticate();
+    classifier = createClassifier(loadCategoryRules());
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (fromRaw) {
+    await rebuildFromRaw(provider, { classifier, fetchAll: all });
+  } else if (incremental) {
+    await syncOrders(provider, { classifier });
+  } else {
+    await saveOrders(provider, { classifier, fetchAll: all, fresh });
+  }
+}
+
+const command = {
+  name: "fetch",
+  description: "Fetch orders from a delivery service",
+  options: OPTIONS,
+  run: fetchService,
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command };
@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const { streamJsonArray, writeJson } = require("../../utils/storage");
+const { getDataFiles } = require("./index");
+const {
+  SCHEMA_VERSION,
+  checkHeader,
+  invalidData,
+  migrateRecord,
+  validateRecord,
+} = require("./schema");
+
+// Files already reported as needing a migration
+const outdatedFiles = new Set();
+
+// Suggest the migrate command once per outdated file
+const reportOutdated = (file, version) => {
+  if (outdatedFiles.has(file)) return;
+  outdatedFiles.add(file);
+  console.error(
+    chalk.yellow(
+      `${file} uses schema version ${version} (current: ${SCHEMA_VERSION}), run the migrate command to upgrade it`
+    )
+  );
+};
+
+/**
+ * Stream the records of a data file, upgraded to the current schema and
+ * validated. Resolves with the file's metadata; bare array files get
+ * metadata describing them as version 1.
+ */
+async function streamFile(provider, kind, file, all, onRecord) {
+  const context = { service: provider.name };
+  let header = null;
+  let version = null;
+  // Error thrown by onRecord, passed on as is
+  let recordError = null;
+
+  let count;
+  try {
+    count = await streamJsonArray(
+      file,
+      (record, index) => {
+        const upgraded =
+          version < SCHEMA_VERSION
+            ? migrateRecord(kind, record, version, context)
+            : record;
+        validateRecord(kind, upgraded, index, file);
+        try {
+          onRecord(upgraded);
+        } catch (error) {
+          recordError = error;
+          throw error;
+        }
+      },
+      {
+        key: "records",
+        onStart: (fields) => {
+          version = checkHeader(fields, kind, file);
+          header = fields;
+        },
+      }
+    );
+  } catch (error) {
+    // Unreadable JSON is as much the data's fault as a wrong field
+    throw error.code || error === recordError
+      ? error
+      : invalidData(`Cannot read ${file}: ${error.message}`);
+  }
+
+  if (header === null) {
+    return {
+      schema_version: 1,
+      kind,
+      service: provider.name,
+      mode: all ? "all" : "recent",
+      source: null,
+      exported_at: null,
+      count,
+    };
+  }
+
+  const { records, ...meta } = header;
+  if (meta.count !== count) {
+    throw invalidData(
+      `${file} holds ${count} records, but its metadata says ${meta.count}`
+    );
+  }
+  return meta;
+}
+
+/**
+ * Stream the orders or items of a provider (the full history with `all`),
+ * upgraded to the current schema and validated as they are read. Resolves
+ * with the file's metadata.
+ */
+async function streamDataFile(provider, kind, onRecord, { all = false } = {}) {
+  const file = getDataFiles(provider, all)[kind];
+  const meta = await streamFile(provider, kind, file, all, onRecord);
+  if (meta.schema_version < SCHEMA_VERSION) {
+    reportOutdated(file, meta.schema_version);
+  }
+  return meta;
+}
+
+/**
+ * Read all orders or items of a provider, like streamDataFile.
+ * Resolves with { meta, records }, or null when there is no such file.
+ */
+async function readDataFile(provider, kind, { all = false } = {}) {
+  if (!fs.existsSync(getDataFiles(provider, all)[kind])) return null;
+
+  const records = [];
+  const meta = await streamDataFile(
+    provider,
+    kind,
+    (record) => records.push(record),
+    { all }
+  );
+  return { meta, records };
+}
+
+/**
+ * Check orders or items about to be written with writeDataFile against the
+ * schema, throwing on the first record that does not match. Orders and
+ * items are written as a pair, so both are checked before either is
+ * written.
+ */
+function validateDataFile(provider, kind, records, { all = false, root } = {}) {
+  const file = getDataFiles(provider, all, root)[kind];
+  records.forEach((record, index) =>
+    validateRecord(kind, record, index, `new ${path.basename(file)}`)
+  );
+}
+
+/**
+ * Validate and write the orders or items of a provider, with metadata on
+ * how they were exported (`source`: "api", "sync" or "raw") and any extra
+ * `metadata`. A `root` other than the data directory gets a copy laid out
+ * the same way. Files are encrypted when the data directory is, unless
+ * `encrypt` is false. Nothing is written when a record does not match the
+ * schema; validate the other file of the pair with validateDataFile first
+ * so that neither is.
+ */
+function writeDataFile(
+  provider,
+  kind,
+  records,
+  { all = false, source, root, metadata = {}, encrypt = true }
+) {
+  const file = getDataFiles(provider, all, root)[kind];
+  validateDataFile(provider, kind, records, { all, root });
+
+  writeJson(
+    file,
+    {
+      schema_version: SCHEMA_VERSION,
+      kind,
+      service: provider.name,
+      mode: all ? "all" : "recent",
+      source,
+      exported_at: new Date().toISOString(),
+      ...metadata,
+      count: records.length,
+      // Last, so that readers know the metadata before the first record
+      records,
+    },
+    { encrypt }
+  );
+  return file;
+}
+
+/**
+ * Upgrade a provider's orders or items file to the current schema in
+ * place, keeping its metadata; with `dryRun`, only read and validate it.
+ * Resolves with { file, version, count }, `version` being the version the
+ * file had, or null when there is no such file.
+ */
+async function migrateDataFile(
+  provider,
+  kind,
+  { all = false, dryRun = false }
+) {
+  const file = getDataFiles(provider, all)[kind];
+  if (!fs.existsSync(file)) return null;
+
+  const records = [];
+  const meta = await streamFile(provider, kind, file, all, (record) =>
+    records.push(record)
+  );
+
+  if (meta.schema_version < SCHEMA_VERSION && !dryRun) {
+    writeJson(file, {
+      ...meta,
+      schema_version: SCHEMA_VERSION,
+      // Bare array files were last written when they were exported
+      exported_at: meta.exported_at ?? fs.statSync(file).mtime.toISOString(),
+      migrated_at: new Date().toISOString(),
+      count: records.length,
+      records,
+    });
+  }
+  return { file, version: meta.schema_version, count: records.length };
+}
+
+module.exports = {
+  migrateDataFile,
+  readDataFile,
+  streamDataFile,
+  validateDataFile,
+  writeDataFile,
+};
@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+const { dataPath } = require("../../utils/paths");
+const wolt = require("./wolt");
+
+/**
+ * Registered providers by service name. A provider has a `name` and
+ * `label`, and implements:
+ * - authenticate(): request settings (e.g. headers), throwing when
+ *   credentials are missing
+ * - fetchPage(session, page): { orders, next } for a page starting at
+ *   `firstPage`, with `next` null on the last page; orders come newest first
+ * - describeError(error): a message for errors the user can fix, or null
+ * - getOrderId(raw) and getOrderTime(raw): id and timestamp of a raw order
+ * - normalize(raw): { order, items } in the common schema (see schema.js)
+ */
+const PROVIDERS = { wolt };
+
+const SERVICES = Object.keys(PROVIDERS);
+
+// Look up a provider, failing on unknown services
+const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown service "${name}", expected one of: ${SERVICES.join(", ")}`
+    );
+  }
+  return provider;
+};
+
+// Directory a provider's data is kept in, under the data directory or
+// another `root` laid out the same way
+const getDataDir = (provider, root = dataPath()) =>
+  path.join(root, provider.name);
+
+// Orders and items files, for recent orders or the full history
+const getDataFiles = (provider, all = false, root) => {
+  const prefix = `${getDataDir(provider, root)}/${all ? "all_" : ""}${
+    provider.name
+  }`;
+  return { orders: `${prefix}_orders.json`, items: `${prefix}_items.json` };
+};
+
+// Providers with exported orders
+const getExportedProviders = (all = false) =>
+  Object.values(PROVIDERS).filter((provider) =>
+    fs.existsSync(getDataFiles(provider, all).orders)
+  );
+
+module.exports = {
+  SERVICES,
+  getDataDir,
+  getDataFiles,
+  getExportedProviders,
+  getProvider,
+};
@@ -0,0 +1,255 @@
+/**
+ * The common order and item schema every provider normalizes into, and
+ * that the stats work on. Amounts are in major units of `currency` and
+ * times are millisecond timestamps.
+ *
+ * Order: order_id, service, status, total_price (our share of the bill),
+ * bill_total (the whole bill), paid_price (what we were charged),
+ * group_order, participants and group_host (null when unknown), currency,
+ * latitude, longitude, venue_name, venue_name_fixed (the name without a
+ * branch), venue_timezone, delivery_time, order_time, year_month, subtotal,
+ * delivery_fee, service_fee, small_order_fee, tip, discount,
+ * subscription_discount, credits_used, refund_amount and category.
+ *
+ * Item: order_id, service, item_id, name, price (per unit), currency,
+ * venue_name_fixed, count and category.
+ *
+ * Data files hold the records of one kind and service under `records`,
+ * after metadata: { schema_version, kind, service, mode ("recent" or
+ * "all"), source ("api", "sync", "raw", or null when unknown),
+ * exported_at, count }. Files from before the metadata are bare arrays
+ * (version 1).
+ */
+
+// Version of the data files written now (see MIGRATIONS)
+const SCHEMA_VERSION = 2;
+
+// Record kinds, each kept in its own file
+const KINDS = ["orders", "items"];
+
+const MODES = ["recent", "all"];
+const SOURCES = ["api", "sync", "raw"];
+
+// Field types per kind. Fields are required unless `optional` (missing
+// from older exports or not reported by every service); `nullable` fields
+// may be null when the value is unknown. Other fields are allowed.
+const FIELDS = {
+  orders: {
+    order_id: { type: "string" },
+    service: { type: "string" },
+    status: { type: "string", optional: true },
+    total_price: { type: "number" },
+    bill_total: { type: "number", optional: true },
+    paid_price: { type: "number", optional: true },
+    group_order: { type: "boolean", optional: true },
+    participants: { type: "integer", optional: true, nullable: true },
+    group_host: { type: "boolean", optional: true, nullable: true },
+    currency: { type: "string", pattern: /^[A-Z]{3}$/ },
+    latitude: { type: "number", optional: true, nullable: true },
+    longitude: { type: "number", optional: true, nullable: true },
+    venue_name: { type: "string", optional: true, nullable: true },
+    venue_name_fixed: { type: "string", optional: true, nullable: true },
+    venue_timezone: { type: "string", optional: true, nullable: true },
+    delivery_time: { type: "integer", optional: true, nullable: true },
+    order_time: { type: "integer", optional: true, nullable: true },
+    year_month: {
+      type: "string",
+      optional: true,
+      nullable: true,
+      pattern: /^\d{4}-\d{2}$/,
+    },
+    subtotal: { type: "number", optional: true },
+    delivery_fee: { type: "number", optional: true },
+    service_fee: { type: "number", optional: true },
+    small_order_fee: { type: "number", optional: true },
+    tip: { type: "number", optional: true },
+    discount: { type: "number", optional: true },
+    subscription_discount: { type: "number", optional: true },
+    credits_used: { type: "number", optional: true },
+    refund_amount: { type: "number", optional: true },
+    category: { type: "string", optional: true },
+  },
+  items: {
+    order_id: { type: "string" },
+    service: { type: "string" },
+    item_id: { type: "string", optional: true, nullable: true },
+    name: { type: "string" },
+    price: { type: "number" },
+    currency: { type: "string", pattern: /^[A-Z]{3}$/ },
+    venue_name_fixed: { type: "string", optional: true, nullable: true },
+    count: { type: "integer" },
+    category: { type: "string", optional: true },
+  },
+};
+
+// Statuses after which an order no longer changes
+const FINAL_STATUSES = new Set([
+  "delivered",
+  "cancelled",
+  "rejected",
+  "refunded",
+]);
+
+// Key of an order or of an item's order, unique across services
+const getOrderKey = (record) => `${record.service}:${record.order_id}`;
+
+// Error for data files that do not match the schema. Commands report it
+// without a stack trace, as it is the data that needs fixing.
+const invalidData = (message) =>
+  Object.assign(new Error(message), { code: "EINVALIDDATA" });
+
+// Check a value against a field type
+const matchesType = (value, type) => {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+// Describe a value in an error message
+const describeValue = (value) =>
+  value === null
+    ? "null"
+    : typeof value === "string"
+    ? JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value)
+    : typeof value === "object"
+    ? Array.isArray(value)
+      ? "an array"
+      : "an object"
+    : String(value);
+
+// Problem with a record, or null when it matches the schema
+const checkRecord = (kind, record) => {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return `expected an object, got ${describeValue(record)}`;
+  }
+  for (const [field, definition] of Object.entries(FIELDS[kind])) {
+    const value = record[field];
+    if (value === undefined) {
+      if (!definition.optional) return `${field} is missing`;
+    } else if (value === null) {
+      if (!definition.nullable) return `${field} must not be null`;
+    } else if (!matchesType(value, definition.type)) {
+      return `${field} must be a${definition.type === "integer" ? "n" : ""} ${
+        definition.type
+      }, got ${describeValue(value)}`;
+    } else if (definition.pattern && !definition.pattern.test(value)) {
+      return `${field} has an unexpected format: ${describeValue(value)}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a record against the schema, throwing an error that names the
+ * record (by its position in `source` and its order) when it does not match
+ */
+const validateRecord = (kind, record, index, source) => {
+  const problem = checkRecord(kind, record);
+  if (!problem) return;
+
+  const name = kind === "orders" ? "order" : "item";
+  const order =
+    record?.order_id !== undefined
+      ? ` (${kind === "items" ? "of order " : ""}${getOrderKey(record)})`
+      : "";
+  throw invalidData(
+    `Invalid ${name} #${index + 1}${order} in ${source}: ${problem}`
+  );
+};
+
+/**
+ * Check the metadata of a data file, returning its schema version
+ * (1 for bare array files, `header` null)
+ */
+const checkHeader = (header, kind, source) => {
+  if (header === null) return 1;
+
+  const version = header.schema_version;
+  if (!Number.isInteger(version) || version < 2) {
+    throw invalidData(`${source} has no valid schema_version`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw invalidData(
+      `${source} uses schema version ${version}, newer than the supported ${SCHEMA_VERSION}; update data-exports to read it`
+    );
+  }
+  if (header.kind !== kind) {
+    throw invalidData(
+      `${source} holds ${describeValue(header.kind)} records, expected ${kind}`
+    );
+  }
+  if (typeof header.service !== "string") {
+    throw invalidData(`${source} does not name its service`);
+  }
+  if (!MODES.includes(header.mode)) {
+    throw invalidData(
+      `${source} has an unknown mode ${describeValue(header.mode)}`
+    );
+  }
+  if (header.source !== null && !SOURCES.includes(header.source)) {
+    throw invalidData(
+      `${source} has an unknown source ${describeValue(header.source)}`
+    );
+  }
+  if (!Number.isInteger(header.count)) {
+    throw invalidData(`${source} has no valid record count`);
+  }
+  return version;
+};
+
+/**
+ * Steps that upgrade records to the next schema version, in order. Each
+ * gets a record of the previous version and { service }, the service the
+ * file belongs to, and returns the upgraded record.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description:
+      'metadata around the records, "year-month" renamed to year_month, the service on every record and numeric delivery times',
+    orders: (order, { service }) => {
+      const { "year-month": yearMonth, ...rest } = order;
+      return {
+        ...rest,
+        service: rest.service ?? service,
+        ...(typeof rest.delivery_time === "string" && {
+          delivery_time: parseInt(rest.delivery_time),
+        }),
+        year_month: rest.year_month ?? yearMonth ?? null,
+      };
+    },
+    items: (item, { service }) => ({
+      ...item,
+      service: item.service ?? service,
+    }),
+  },
+];
+
+/**
+ * Upgrade a record from schema `version` to the current one
+ */
+const migrateRecord = (kind, record, version, context) =>
+  MIGRATIONS.filter((migration) => migration.version > version).reduce(
+    (upgraded, migration) =>
+      migration[kind] ? migration[kind](upgraded, context) : upgraded,
+    record
+  );
+
+module.exports = {
+  FINAL_STATUSES,
+  KINDS,
+  MIGRATIONS,
+  MODES,
+  SCHEMA_VERSION,
+  SOURCES,
+  checkHeader,
+  getOrderKey,
+  invalidData,
+  migrateRecord,
+  validateRecord,
+};
@@ -0,0 +1,444 @@
+const fs = require("fs");
+const dayjs = require("dayjs");
+const {
+  readGzipJson,
+  readJson,
+  removeFile,
+  writeGzipJson,
+  writeJson,
+} = require("../../utils/storage");
+const { UNCLASSIFIED, pickCategory } = require("../stats/categories");
+const { readDataFile, validateDataFile, writeDataFile } = require("./dataset");
+const { getDataDir } = require("./index");
+const { FINAL_STATUSES, SCHEMA_VERSION, migrateRecord } = require("./schema");
+
+// Files a provider keeps next to its data
+const getStateFiles = (provider) => {
+  const dataDir = getDataDir(provider);
+  return {
+    syncState: `${dataDir}/sync_state.json`,
+    checkpoint: `${dataDir}/fetch_checkpoint.json`,
+    rawDir: `${dataDir}/raw`,
+  };
+};
+
+// Get timestamp for 1 year ago from the first day of current month
+const getLastYearTimestamp = () => {
+  const now = dayjs().startOf("month");
+  const lastYear = now.subtract(1, "year");
+  return lastYear.valueOf();
+};
+
+/**
+ * Normalize a raw order with its provider, then tag the service and
+ * categories
+ */
+const processOrder = (provider, classifier, raw) => {
+  const { order, items } = provider.normalize(raw);
+  const processedOrder = { ...order, service: provider.name };
+
+  const processedItems = items.map((item) => ({
+    ...item,
+    service: provider.name,
+    category: classifier.item(item.name, processedOrder) ?? UNCLASSIFIED,
+  }));
+
+  // The order's category is the one most of its item spend went to
+  const categoryTotals = {};
+  for (const item of processedItems) {
+    if (item.category === UNCLASSIFIED) continue;
+    categoryTotals[item.category] =
+      (categoryTotals[item.category] || 0) + item.price * item.count;
+  }
+  processedOrder.category =
+    pickCategory(categoryTotals) ??
+    classifier.venue(processedOrder) ??
+    UNCLASSIFIED;
+
+  return { order: processedOrder, items: processedItems };
+};
+
+// Archive a raw API page as returned, named so that files sort by fetch
+// run first and page number second
+const archiveRawPage = (provider, runId, pageNumber, orders) => {
+  const page = String(pageNumber).padStart(6, "0");
+  writeGzipJson(
+    `${getStateFiles(provider).rawDir}/${runId}_page-${page}.json.gz`,
+    orders
+  );
+};
+
+/**
+ * Fetch and process orders page by page.
+ * Paging stops early once an order from `knownOrderIds` is reached.
+ * With a `checkpointFile`, progress is saved after every page and an
+ * interrupted run continues from the last saved page; orders fetched twice
+ * are kept once.
+ * `complete` is false when paging ended on an error.
+ */
+async function fetchOrders(
+  provider,
+  {
+    classifier,
+    fetchAll = false,
+    knownOrderIds = new Set(),
+    checkpointFile = null,
+  }
+) {
+  const session = provider.authenticate();
+  const checkpoint = checkpointFile ? readJson(checkpointFile) : null;
+  // Records saved by an older version are upgraded like data files
+  const checkpointVersion = checkpoint?.schema_version ?? 1;
+  const context = { service: provider.name };
+  let allOrders = (checkpoint?.orders || []).map((order) =>
+    migrateRecord("orders", order, checkpointVersion, context)
+  );
+  let allItems = (checkpoint?.items || []).map((item) =>
+    migrateRecord("items", item, checkpointVersion, context)
+  );
+  // Checkpoints from before the provider split saved a Wolt `skip` offset
+  let page = checkpoint?.page ?? checkpoint?.skip ?? provider.firstPage;
+  let pageNumber = checkpoint?.page_number || 0;
+  let hasMore = true;
+  const lastYearTimestamp = getLastYearTimestamp();
+  const runId = new Date().toISOString().replace(/[:.]/g, "-");
+
+  console.log(
+    fetchAll
+      ? `Fetching all historical ${provider.label} orders...`
+      : `Fetching ${provider.label} orders from: ${new Date(lastYearTimestamp)}`
+  );
+  if (checkpoint) {
+    console.log(
+      `Resuming from checkpoint at page ${page} (${allOrders.length} orders, saved ${checkpoint.updated_at})`
+    );
+  }
+
+  while (hasMore) {
+    let result;
+    try {
+      console.log(`Fetching orders page ${page}...`);
+      result = await provider.fetchPage(session, page);
+    } catch (error) {
+      const message = provider.describeError(error);
+      if (message) {
+        console.error(`Error: ${message}`);
+      } else {
+        console.error(
+          "Error fetching orders:",
+          error.response?.data || error.message
+        );
+      }
+      return { orders: allOrders, items: allItems, complete: false };
+    }
+
+    const { orders, next } = result;
+    if (!Array.isArray(orders)) {
+      console.error("Unexpected response format:", typeof orders);
+      return { orders: allOrders, items: allItems, complete: false };
+    }
+
+    if (!orders.length) {
+      console.log("No more orders to process");
+      break;
+    }
+
+    archiveRawPage(provider, runId, pageNumber, orders);
+    pageNumber++;
+
+    for (const order of orders) {
+      const orderId = provider.getOrderId(order);
+
+      // Orders come newest first, so everything after a known one is synced
+      if (knownOrderIds.has(orderId)) {
+        console.log(`Reached already synced order ${orderId}`);
+        hasMore = false;
+        break;
+      }
+
+      const orderTimeMs = provider.getOrderTime(order);
+
+      // Skip if older than a year (only in recent mode). Orders without any
+      // timestamp cannot be placed in time, so they never end paging.
+      if (
+        !fetchAll &&
+        orderTimeMs !== null &&
+        orderTimeMs < lastYearTimestamp
+      ) {
+        console.log(
+          `Skipping old order ${orderId}: ${new Date(
+            orderTimeMs
+          ).toISOString()}`
+        );
+        hasMore = false;
+        break;
+      }
+
+      const { order: processedOrder, items: processedItems } = processOrder(
+        provider,
+        classifier,
+        order
+      );
+      // New orders shift the pages of a resumed run, so an order can come
+      // again; the latest copy replaces the one fetched before
+      const { order_id: processedId } = processedOrder;
+      if (allOrders.some((stored) => stored.order_id === processedId)) {
+        allOrders = allOrders.filter(
+          (stored) => stored.order_id !== processedId
+        );
+        allItems = allItems.filter((item) => item.order_id !== processedId);
+      }
+      allOrders.push(processedOrder);
+      allItems.push(...processedItems);
+      console.log(
+        `Processed ${processedOrder.status} order ${orderId} from ${
+          orderTimeMs ? new Date(orderTimeMs).toISOString() : "unknown date"
+        }`
+      );
+    }
+
+    console.log(
+      `Processed batch: ${allOrders.length} orders, ${allItems.length} items so far`
+    );
+
+    // The provider says when the last page was reached
+    if (next === null || next === undefined) {
+      hasMore = false;
+    } else {
+      page = next;
+    }
+
+    if (checkpointFile && hasMore) {
+      writeJson(checkpointFile, {
+        schema_version: SCHEMA_VERSION,
+        page,
+        page_number: pageNumber,
+        updated_at: new Date().toISOString(),
+        orders: allOrders,
+        items: allItems,
+      });
+    }
+  }
+
+  return { orders: allOrders, items: allItems, complete: true };
+}
+
+/**
+ * Merge freshly fetched orders and items into an existing dataset.
+ * Fetched records replace stored ones with the same order_id; orders missing
+ * from the API are kept as they are.
+ */
+const mergeOrders = (existing, fetched) => {
+  const fetchedIds = new Set(fetched.orders.map((order) => order.order_id));
+
+  const orders = [
+    ...fetched.orders,
+    ...existing.orders.filter((order) => !fetchedIds.has(order.order_id)),
+  ].sort(
+    (a, b) =>
+      (b.order_time ?? b.delivery_time) - (a.order_time ?? a.delivery_time)
+  );
+
+  const itemsByOrder = new Map();
+  for (const item of [
+    ...fetched.items,
+    ...existing.items.filter((item) => !fetchedIds.has(item.order_id)),
+  ]) {
+    if (!itemsByOrder.has(item.order_id)) itemsByOrder.set(item.order_id, []);
+    itemsByOrder.get(item.order_id).push(item);
+  }
+  const items = orders.flatMap(
+    (order) => itemsByOrder.get(order.order_id) || []
+  );
+
+  return { orders, items };
+};
+
+/**
+ * Fetch only orders newer than the stored dataset and merge them into
+ * the full history files
+ */
+async function syncOrders(provider, { classifier }) {
+  const { syncState } = getStateFiles(provider);
+
+  const existing = {
+    orders:
+      (await readDataFile(provider, "orders", { all: true }))?.records || [],
+    items:
+      (await readDataFile(provider, "items", { all: true }))?.records || [],
+  };
+  // Orders still in progress are fetched again until they reach a final status
+  const knownOrderIds = new Set(
+    existing.orders
+      .filter((order) => !order.status || FINAL_STATUSES.has(order.status))
+      .map((order) => order.order_id)
+  );
+  const lastSync = readJson(syncState);
+
+  console.log(
+    lastSync
+      ? `Last sync: ${lastSync.synced_at} (${existing.orders.length} orders stored)`
+      : "No previous sync found, fetching full history..."
+  );
+
+  const fetched = await fetchOrders(provider, {
+    classifier,
+    fetchAll: true,
+    knownOrderIds,
+  });
+  if (!fetched.complete) {
+    console.error("Sync incomplete, existing data was left unchanged.");
+    process.exitCode = 1;
+    return;
+  }
+
+  const { orders, items } = mergeOrders(existing, fetched);
+
+  // Both before writing either, so the pair stays consistent
+  validateDataFile(provider, "orders", orders, { all: true });
+  validateDataFile(provider, "items", items, { all: true });
+  const ordersFile = writeDataFile(provider, "orders", orders, {
+    all: true,
+    source: "sync",
+  });
+  const itemsFile = writeDataFile(provider, "items", items, {
+    all: true,
+    source: "sync",
+  });
+  writeJson(syncState, {
+    synced_at: new Date().toISOString(),
+    latest_order_id: orders[0]?.order_id || null,
+    latest_delivery_time: orders[0]?.delivery_time || null,
+    new_orders: fetched.orders.length,
+    total_orders: orders.length,
+    total_items: items.length,
+  });
+
+  console.log(
+    `Added ${fetched.orders.length} new orders (${fetched.items.length} items)`
+  );
+  console.log(
+    `Saved ${orders.length} orders and ${items.length} items to ${ordersFile} and ${itemsFile}`
+  );
+}
+
+// Write processed orders and items to the recent or full history files
+const writeDataset = (provider, fetchAll, source, orders, items) => {
+  const options = { all: fetchAll, source };
+
+  // Both before writing either, so the pair stays consistent
+  validateDataFile(provider, "orders", orders, options);
+  validateDataFile(provider, "items", items, options);
+
+  // Save orders
+  const ordersFile = writeDataFile(provider, "orders", orders, options);
+  console.log(`Saved ${orders.length} orders to ${ordersFile}`);
+
+  // Save items
+  const itemsFile = writeDataFile(provider, "items", items, options);
+  console.log(`Saved ${items.length} items to ${itemsFile}`);
+};
+
+/**
+ * Save orders and items to JSON files.
+ * A full history run keeps a checkpoint so it can be resumed; a run that
+ * fails midway exits non-zero without touching the existing files.
+ */
+async function saveOrders(
+  provider,
+  { classifier, fetchAll = false, fresh = false }
+) {
+  const checkpointFile = fetchAll ? getStateFiles(provider).checkpoint : null;
+  if (checkpointFile && fresh) removeFile(checkpointFile);
+
+  const { orders, items, complete } = await fetchOrders(provider, {
+    classifier,
+    fetchAll,
+    checkpointFile,
+  });
+
+  if (!complete) {
+    console.error(
+      `Fetch incomplete after ${orders.length} orders, existing data was left unchanged.`
+    );
+    if (checkpointFile) {
+      console.error("Run the same command again to resume.");
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  if (orders.length === 0) {
+    console.log("No orders found.");
+    return;
+  }
+
+  writeDataset(provider, fetchAll, "api", orders, items);
+
+  if (checkpointFile) removeFile(checkpointFile);
+}
+
+/**
+ * Rebuild the orders and items files from the raw page archive, without
+ * touching the network. Newer archives win when an order appears twice.
+ */
+async function rebuildFromRaw(provider, { classifier, fetchAll = false }) {
+  const { rawDir } = getStateFiles(provider);
+  const files = fs.existsSync(rawDir)
+    ? fs
+        .readdirSync(rawDir)
+        .filter((file) => file.endsWith(".json.gz"))
+        .sort()
+    : [];
+
+  if (!files.length) {
+    console.error(`No raw archive found in ${rawDir}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const rawOrders = new Map();
+  for (const file of files) {
+    for (const order of readGzipJson(`${rawDir}/${file}`)) {
+      rawOrders.set(provider.getOrderId(order), order);
+    }
+  }
+  console.log(
+    `Loaded ${rawOrders.size} unique orders from ${files.length} raw pages`
+  );
+
+  const lastYearTimestamp = getLastYearTimestamp();
+  const orders = [];
+  const items = [];
+  const sortedOrders = [...rawOrders.values()].sort(
+    (a, b) => (provider.getOrderTime(b) ?? 0) - (provider.getOrderTime(a) ?? 0)
+  );
+  for (const order of sortedOrders) {
+    const orderTimeMs = provider.getOrderTime(order);
+    if (!fetchAll && orderTimeMs !== null && orderTimeMs < lastYearTimestamp) {
+      continue;
+    }
+
+    const { order: processedOrder, items: processedItems } = processOrder(
+      provider,
+      classifier,
+      order
+    );
+    orders.push(processedOrder);
+    items.push(...processedItems);
+  }
+
+  if (orders.length === 0) {
+    console.log("No orders found.");
+    return;
+  }
+
+  writeDataset(provider, fetchAll, "raw", orders, items);
+}
+
+module.exports = {
+  getStateFiles,
+  rebuildFromRaw,
+  saveOrders,
+  syncOrders,
+};
@@ -0,0 +1,160 @@
+const { getWithRetry } = require("../../utils/http");
+const { toLocalTime } = require("../../utils/time");
+
+const API_URL = "https://restaurant-api.wolt.com/v2/order_details/";
+const LIMIT = 100;
+
+// Read the first amount field present on a raw order (minor units → major units)
+const getAmount = (order, ...fields) => {
+  for (const field of fields) {
+    if (typeof order[field] === "number") return order[field] / 100;
+  }
+  return 0;
+};
+
+// Sum a list of discount objects ({ amount } in minor units)
+const sumDiscounts = (discounts) =>
+  Array.isArray(discounts)
+    ? discounts.reduce((sum, discount) => sum + (discount.amount || 0), 0) / 100
+    : 0;
+
+// Convert a MongoDB-style { $date } value to milliseconds
+const toTimestamp = (value) => {
+  const date = value?.$date;
+  if (date === undefined || date === null) return null;
+  return typeof date === "number" ? date : parseInt(date);
+};
+
+// Delivery time, or when the order was placed if it was never delivered
+const getOrderTime = (order) =>
+  toTimestamp(order.delivery_time) ??
+  toTimestamp(order.payment_time) ??
+  toTimestamp(order.creation_time);
+
+/**
+ * Normalize a raw Wolt order into the common order and item schema
+ */
+const normalize = (order) => {
+  const venueNameFixed =
+    order.venue_name?.split("|")[0]?.trim() || order.venue_name;
+  // Group orders carry our share of the bill next to the full bill. The
+  // host pays the whole bill; guests pay their share. When it is unknown
+  // who hosted (group_host null), we are taken to have paid our share.
+  const billTotal = order.total_price / 100;
+  const hasShare = order.total_price_share > 0;
+  const totalPrice = hasShare ? order.total_price_share / 100 : billTotal;
+  const groupOrder = !!order.group || (hasShare && totalPrice < billTotal);
+  const groupHost =
+    typeof order.group?.is_host === "boolean" ? order.group.is_host : null;
+
+  const orderTime = getOrderTime(order);
+
+  const processedOrder = {
+    order_id: order.order_id,
+    status: order.status,
+    total_price: totalPrice,
+    bill_total: billTotal,
+    paid_price:
+      typeof order.payment_amount === "number"
+        ? order.payment_amount / 100
+        : groupHost === true
+        ? billTotal
+        : totalPrice,
+    group_order: groupOrder,
+    participants: Array.isArray(order.group?.participants)
+      ? order.group.participants.length
+      : null,
+    group_host: groupHost,
+    currency: order.currency,
+    latitude: order.venue_coordinates
+      ? Number(order.venue_coordinates[1].toFixed(10))
+      : null,
+    longitude: order.venue_coordinates
+      ? Number(order.venue_coordinates[0].toFixed(10))
+      : null,
+    venue_name: order.venue_name,
+    venue_name_fixed: venueNameFixed,
+    venue_timezone: order.venue_timezone,
+    delivery_time: toTimestamp(order.delivery_time),
+    order_time: orderTime,
+    // Month in the venue's local time
+    year_month:
+      toLocalTime(orderTime, order.venue_timezone)?.slice(0, 7) ?? null,
+    // Price breakdown, in order currency, for the whole order
+    subtotal: getAmount(order, "subtotal", "items_price"),
+    delivery_fee: getAmount(order, "delivery_price"),
+    service_fee: getAmount(order, "service_fee"),
+    small_order_fee: getAmount(order, "small_order_surcharge"),
+    tip: getAmount(order, "tip_amount", "courier_tip", "tip"),
+    discount:
+      sumDiscounts(order.discounts) || getAmount(order, "total_discount"),
+    subscription_discount: getAmount(
+      order,
+      "subscription_discount",
+      "wolt_plus_discount"
+    ),
+    credits_used: getAmount(order, "credits") + getAmount(order, "tokens"),
+    refund_amount: getAmount(order, "refund_amount", "refunded_amount"),
+  };
+
+  const processedItems =
+    order.items?.map((item) => ({
+      order_id: order.order_id,
+      item_id: item.id,
+      name: item.name,
+      price: item.end_amount / 100,
+      currency: order.currency,
+      venue_name_fixed: venueNameFixed,
+      count: item.count,
+    })) || [];
+
+  return { order: processedOrder, items: processedItems };
+};
+
+/**
+ * Wolt order history, read from the order details API with the
+ * Authorization token from the web app
+ */
+module.exports = {
+  name: "wolt",
+  label: "Wolt",
+
+  // Request settings for the API, from WOLT_TOKEN
+  authenticate() {
+    if (!process.env.WOLT_TOKEN) {
+      throw new Error("WOLT_TOKEN environment variable is not set");
+    }
+    return {
+      headers: { Authorization: `Bearer ${process.env.WOLT_TOKEN}` },
+    };
+  },
+
+  // Pages are offsets into the history, newest orders first
+  firstPage: 0,
+
+  async fetchPage(session, skip) {
+    const response = await getWithRetry(
+      `${API_URL}?limit=${LIMIT}&skip=${skip}`,
+      session
+    );
+    const orders = response.data || [];
+    return {
+      orders,
+      // Fewer than LIMIT results means this was the last page
+      next:
+        Array.isArray(orders) && orders.length === LIMIT ? skip + LIMIT : null,
+    };
+  },
+
+  // Explain errors the user can fix
+  describeError(error) {
+    if (error.response?.status === 401) {
+      return "Wolt token expired or invalid (401). Copy a fresh Authorization header into WOLT_TOKEN and run again.";
+    }
+    return null;
+  },
+
+  getOrderId: (order) => order.order_id,
+  getOrderTime,
+  normalize,
+};
@@ -0,0 +1,128 @@
+const chalk = require("chalk");
+const dayjs = require("dayjs");
+const {
+  BASE_CURRENCY,
+  RATE_STATUS,
+  getExchangeRateInfos,
+  saveExchangeRateCache,
+} = require("../utils/currency");
+const { runScript } = require("../utils/cli");
+const { getExportedProviders } = require("./providers");
+const { streamDataFile } = require("./providers/dataset");
+const { convertOrders } = require("./stats/convert");
+
+const OPTIONS = {
+  date: {
+    type: "string",
+    placeholder: "YYYY-MM-DD",
+    description: "Day to look rates up for (default: today)",
+  },
+  orders: {
+    type: "boolean",
+    description: "Fetch the rates every exported order needs into the cache",
+  },
+  all: {
+    type: "boolean",
+    description: "With --orders, use the full history",
+  },
+};
+
+// Status colors, from exact to missing
+const STATUS_COLORS = {
+  [RATE_STATUS.CONVERTED]: chalk.green,
+  [RATE_STATUS.LATEST]: chalk.yellow,
+  [RATE_STATUS.STALE]: chalk.yellow,
+  [RATE_STATUS.UNCONVERTED]: chalk.red,
+};
+
+/**
+ * Print the rates of some currencies to the base currency on one day
+ */
+async function printRates(currencies, date) {
+  const infos = await getExchangeRateInfos(currencies, date);
+  for (const currency of currencies) {
+    const { rate, status } = infos[currency];
+    const color = STATUS_COLORS[status];
+    console.log(
+      rate === null
+        ? color(`${currency}: no rate on ${date}`)
+        : color(
+            `1 ${currency} = ${rate} ${BASE_CURRENCY} on ${date} (${status})`
+          )
+    );
+  }
+}
+
+/**
+ * Look up the rates of every exported order ahead of time, so that stats
+ * can later run from the cache, and report how the amounts convert
+ */
+async function prefetchOrderRates(showAll) {
+  const orders = [];
+  for (const provider of getExportedProviders(showAll)) {
+    await streamDataFile(provider, "orders", (order) => orders.push(order), {
+      all: showAll,
+    });
+  }
+  if (!orders.length) {
+    console.error("Error: no exported orders found, fetch them first");
+    process.exitCode = 1;
+    return;
+  }
+
+  console.error(
+    `Looking up ${BASE_CURRENCY} rates for ${orders.length} orders...`
+  );
+  const converted = await convertOrders(orders);
+
+  const statuses = {};
+  for (const order of converted) {
+    for (const conversion of [order.conversion, order.refund_conversion]) {
+      if (!conversion) continue;
+      statuses[conversion.status] = (statuses[conversion.status] || 0) + 1;
+    }
+  }
+  Object.values(RATE_STATUS).forEach((status) => {
+    if (!statuses[status]) return;
+    console.log(
+      STATUS_COLORS[status](`${status}: ${statuses[status]} amounts`)
+    );
+  });
+}
+
+/**
+ * Look up exchange rates to the base currency, filling the rate cache
+ */
+async function lookUpRates({ date, orders, all }, currencies) {
+  if (orders) {
+    await prefetchOrderRates(all);
+  } else if (currencies.length) {
+    const day = dayjs(date ?? undefined);
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !day.isValid())) {
+      console.error(
+        `Error: --date expects a date like 2024-01-31, got "${date}"`
+      );
+      process.exit(1);
+    }
+    await printRates(
+      currencies.map((currency) => currency.toUpperCase()),
+      day.format("YYYY-MM-DD")
+    );
+  } else {
+    console.error("Error: name the currencies to look up, or use --orders");
+    process.exit(1);
+  }
+  saveExchangeRateCache();
+}
+
+const command = {
+  name: "rates",
+  description: `Look up exchange rates to ${BASE_CURRENCY} and fill the rate cache`,
+  usage: "[currency...]",
+  options: OPTIONS,
+  run: lookUpRates,
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command };
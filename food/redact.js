@@ -0,0 +1,120 @@
+const chalk = require("chalk");
+const { runScript } = require("../utils/cli");
+const { dataPath } = require("../utils/paths");
+const { getExportedProviders } = require("./providers");
+const {
+  readDataFile,
+  validateDataFile,
+  writeDataFile,
+} = require("./providers/dataset");
+const { KINDS } = require("./providers/schema");
+const {
+  createRedactor,
+  describeRedaction,
+  loadRedactionProfile,
+} = require("./stats/redact");
+
+const OPTIONS = {
+  all: {
+    type: "boolean",
+    description: "Redact the full history instead of the recent orders",
+  },
+  out: {
+    type: "string",
+    placeholder: "dir",
+    description:
+      "Directory to write the redacted copy to (default: shared in the data directory)",
+  },
+  redaction: {
+    type: "string",
+    placeholder: "file",
+    description:
+      "Redaction profile (default: wolt/redaction.json in the data directory)",
+  },
+};
+
+/**
+ * Write a redacted copy of every exported orders and items file, laid out
+ * like the data directory so that the other commands can read it with
+ * --data-dir. Nothing is written when raw identifiers would be left.
+ */
+async function redactFiles({ all, out = dataPath("shared"), redaction }) {
+  const profile = loadRedactionProfile(redaction);
+  const redactor = createRedactor(profile);
+  const description = describeRedaction(profile);
+
+  const providers = getExportedProviders(all);
+  if (!providers.length) {
+    console.error("Error: no exported orders found, fetch them first");
+    process.exitCode = 1;
+    return;
+  }
+
+  // Redact everything first: leaks are only known once every identifier
+  // has been seen
+  const copies = [];
+  for (const provider of providers) {
+    for (const kind of KINDS) {
+      const data = await readDataFile(provider, kind, { all });
+      if (!data) continue;
+      const redact = kind === "orders" ? redactor.order : redactor.item;
+      copies.push({
+        provider,
+        kind,
+        meta: data.meta,
+        records: data.records.map((record) => redact(record)),
+      });
+    }
+  }
+
+  for (const { provider, kind, records } of copies) {
+    const leaks = redactor.findLeaks(records);
+    if (leaks.length) {
+      console.error(
+        `Error: the redacted ${
+          provider.label
+        } ${kind} still contain raw identifiers (${leaks
+          .map((leak) => `"${leak}"`)
+          .join(", ")}), nothing was written`
+      );
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  // Every copy before writing any, so a failure leaves no partial copy
+  for (const { provider, kind, records } of copies) {
+    validateDataFile(provider, kind, records, { all, root: out });
+  }
+
+  for (const { provider, kind, meta, records } of copies) {
+    const file = writeDataFile(provider, kind, records, {
+      all,
+      source: meta.source,
+      root: out,
+      metadata: { redaction: description },
+      // Shared copies are meant to be read elsewhere
+      encrypt: false,
+    });
+    console.log(chalk.green(`✓ ${file}: ${records.length} ${kind}`));
+  }
+  console.log(chalk.gray(`Redacted: ${description.join(", ")}`));
+  if (!profile.salt) {
+    console.log(
+      chalk.gray(
+        "The profile has no salt, so ids get different hashes on every run"
+      )
+    );
+  }
+}
+
+const command = {
+  name: "redact",
+  description: "Write a redacted copy of the exported data for sharing",
+  options: OPTIONS,
+  run: redactFiles,
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command };
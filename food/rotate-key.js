@@ -0,0 +1,131 @@
+const path = require("path");
+const chalk = require("chalk");
+const { runScript } = require("../utils/cli");
+const {
+  KEYRING_FILE,
+  KEY_FILE_ENV,
+  PASSPHRASE_ENV,
+  createKeyEntry,
+  generateKeyFile,
+  readKeyring,
+  readSecret,
+  setWriteKey,
+  unlockKey,
+} = require("../utils/encryption");
+const { dataPath } = require("../utils/paths");
+const { writeJson } = require("../utils/storage");
+const { listDataFiles, rewriteFiles } = require("./encrypt");
+
+// Environment variable with a new passphrase to switch to
+const NEW_PASSPHRASE_ENV = "DATA_EXPORTS_NEW_PASSPHRASE";
+
+const OPTIONS = {
+  "new-key-file": {
+    type: "string",
+    placeholder: "file",
+    description: "Key file to switch to",
+  },
+  "generate-key": {
+    type: "string",
+    placeholder: "file",
+    description: "Create a new key file and switch to it",
+  },
+};
+
+/**
+ * Re-encrypt the data directory with a new key: a new passphrase from
+ * DATA_EXPORTS_NEW_PASSPHRASE, a key file or a generated one. The current
+ * secret comes from the environment as usual. An interrupted rotation is
+ * continued by running it again with the same new key.
+ */
+async function rotateKey({ newKeyFile, generateKey }) {
+  const keyringFile = dataPath(KEYRING_FILE);
+  const keyring = readKeyring(keyringFile);
+  if (!keyring) {
+    console.error("Error: the data is not encrypted, run encrypt first");
+    process.exitCode = 1;
+    return;
+  }
+
+  const newPassphrase = process.env[NEW_PASSPHRASE_ENV];
+  if ([newKeyFile, generateKey, newPassphrase].filter(Boolean).length !== 1) {
+    console.error(
+      `Error: give the new key with one of --new-key-file, --generate-key or ${NEW_PASSPHRASE_ENV}`
+    );
+    process.exitCode = 1;
+    return;
+  }
+  if (keyring.next && generateKey) {
+    console.error(
+      `Error: a rotation to another key was interrupted, finish it with that key (--new-key-file or ${NEW_PASSPHRASE_ENV})`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  unlockKey(keyring, readSecret(keyring));
+
+  if (generateKey) generateKeyFile(generateKey);
+  const secret = newPassphrase
+    ? { passphrase: newPassphrase }
+    : { keyFile: newKeyFile ?? generateKey };
+  // An interrupted rotation continues with the key it started with, which
+  // some files may already be encrypted with
+  const next = keyring.next ?? createKeyEntry(secret);
+  if (next.key_id === keyring.key_id) {
+    console.error("Error: the new key is the current one");
+    process.exitCode = 1;
+    return;
+  }
+  let key;
+  try {
+    key = unlockKey(next, secret);
+  } catch (error) {
+    if (!keyring.next || error.code !== "EENCRYPTION") throw error;
+    console.error(
+      `Error: a rotation to another key was interrupted, finish it with that key (${error.message})`
+    );
+    process.exitCode = 1;
+    return;
+  }
+  if (!keyring.next) {
+    writeJson(keyringFile, { ...keyring, next }, { encrypt: false });
+  }
+
+  setWriteKey(key);
+  const files = listDataFiles();
+  const count = rewriteFiles(files, next.key_id);
+
+  writeJson(
+    keyringFile,
+    {
+      version: keyring.version,
+      cipher: keyring.cipher,
+      created_at: keyring.created_at,
+      rotated_at: new Date().toISOString(),
+      ...next,
+    },
+    { encrypt: false }
+  );
+  console.log(chalk.green(`✓ Re-encrypted ${count} files with the new key`));
+  console.log(
+    chalk.yellow(
+      next.kdf === "scrypt"
+        ? `Set ${PASSPHRASE_ENV} to the new passphrase to read the data`
+        : `Set ${KEY_FILE_ENV}=${path.resolve(
+            secret.keyFile
+          )} (e.g. in .env) to read the data`
+    )
+  );
+}
+
+const command = {
+  name: "rotate-key",
+  description: "Re-encrypt the data directory with a new key",
+  options: OPTIONS,
+  run: rotateKey,
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command };
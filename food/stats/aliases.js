@@ -0,0 +1,103 @@
+const { dataPath } = require("../../utils/paths");
+const { readJson } = require("../../utils/storage");
+
+// Alias file, relative to the data directory
+const ALIASES_FILE = "wolt/aliases.json";
+
+/**
+ * Matching key for a venue or item name: case, punctuation and spacing
+ * differences are ignored ("Burger Classic!" and "burger  classic" match)
+ */
+const normalizeName = (name) =>
+  String(name ?? "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Map every listed variant (and the canonical name itself) to its
+// canonical name, by matching key
+const buildLookup = (groups, section) => {
+  const lookup = new Map();
+  for (const [canonical, variants] of Object.entries(groups || {})) {
+    if (!Array.isArray(variants)) {
+      throw new Error(
+        `${section}."${canonical}" in the alias file must be a list of names`
+      );
+    }
+    for (const name of [canonical, ...variants]) {
+      const key = normalizeName(name);
+      const existing = lookup.get(key);
+      if (existing && existing !== canonical) {
+        throw new Error(
+          `"${name}" is listed under both "${existing}" and "${canonical}" in ${section}`
+        );
+      }
+      lookup.set(key, canonical);
+    }
+  }
+  return lookup;
+};
+
+/**
+ * Read the alias file: { venues: { brand: [venue names] }, items:
+ * { canonical item: [variant names] } }. A missing file means no aliases.
+ */
+function loadAliases(file = dataPath(ALIASES_FILE)) {
+  const aliases = readJson(file, {});
+  if (typeof aliases !== "object" || Array.isArray(aliases)) {
+    throw new Error(`${file} must contain an object with venues and items`);
+  }
+  return { venues: aliases.venues || {}, items: aliases.items || {} };
+}
+
+/**
+ * Create the normalizer that maps venues to brands and branches, and item
+ * names to canonical items. Names without an alias are grouped by their
+ * matching key, shown with the first spelling seen.
+ */
+function createNormalizer(aliases = {}) {
+  const venueLookup = buildLookup(aliases.venues, "venues");
+  const itemLookup = buildLookup(aliases.items, "items");
+  const brandNames = new Map();
+  const itemNames = new Map();
+
+  // Alias for a name, or the first spelling seen with the same key
+  const resolve = (lookup, seen, name) => {
+    const key = normalizeName(name);
+    if (lookup.has(key)) return lookup.get(key);
+    if (!seen.has(key)) seen.set(key, name);
+    return seen.get(key);
+  };
+
+  return {
+    // Brand (chain) of an order's venue: an alias of the full venue name
+    // or of the name before "|", otherwise the name before "|"
+    brand: (order) => {
+      const key = normalizeName(order.venue_name);
+      if (venueLookup.has(key)) return venueLookup.get(key);
+      return resolve(venueLookup, brandNames, order.venue_name_fixed);
+    },
+    // Branch (a single restaurant) of an order's venue
+    branch: (order) => (order.venue_name || order.venue_name_fixed).trim(),
+    item: (name) => resolve(itemLookup, itemNames, name),
+  };
+}
+
+/**
+ * Add `brand` and `branch` fields to copies of the orders
+ */
+const normalizeOrders = (orders, normalizer) =>
+  orders.map((order) => ({
+    ...order,
+    brand: normalizer.brand(order),
+    branch: normalizer.branch(order),
+  }));
+
+module.exports = {
+  ALIASES_FILE,
+  createNormalizer,
+  loadAliases,
+  normalizeName,
+  normalizeOrders,
+};
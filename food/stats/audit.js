@@ -0,0 +1,139 @@
+const { RATE_STATUS, formatCurrency } = require("../../utils/currency");
+const { getOrderKey } = require("../providers/schema");
+
+// Unconverted currency/day pairs listed in the summary
+const MAX_LISTED = 10;
+
+// Every converted order amount with the order it belongs to
+const getConversions = (orders) => [
+  ...orders
+    .filter((order) => order.conversion)
+    .map((order) => ({
+      ...order.conversion,
+      order: getOrderKey(order),
+      currency: order.currency,
+      amount: order.total_price,
+    })),
+  ...orders
+    .filter((order) => order.refund_conversion)
+    .map((order) => ({
+      ...order.refund_conversion,
+      order: getOrderKey(order),
+      currency: order.currency,
+      refund: true,
+    })),
+];
+
+/**
+ * Summarize how amounts were converted to the base currency: how many
+ * used each rate status, and which currencies and days could not be
+ * converted along with the order totals they leave out. Item prices use
+ * their order's rate and are only counted, from the item summary.
+ */
+function auditConversions(orders, itemSummary) {
+  const conversions = getConversions(orders);
+  const statuses = Object.fromEntries(
+    Object.values(RATE_STATUS).map((status) => [
+      status,
+      itemSummary.statuses[status] || 0,
+    ])
+  );
+  const unconverted = new Map();
+  const unconvertedOrders = new Set();
+  const unconvertedTotals = {};
+
+  for (const conversion of conversions) {
+    statuses[conversion.status]++;
+    if (conversion.status !== RATE_STATUS.UNCONVERTED) continue;
+
+    const key = `${conversion.currency}_${conversion.date}`;
+    const entry = unconverted.get(key) || {
+      currency: conversion.currency,
+      date: conversion.date,
+      orders: 0,
+      amount: 0,
+    };
+    // Order totals are what go missing from the spending figures
+    if (conversion.amount !== undefined) {
+      entry.orders++;
+      entry.amount += conversion.amount;
+      unconvertedOrders.add(conversion.order);
+      unconvertedTotals[conversion.currency] =
+        (unconvertedTotals[conversion.currency] || 0) + conversion.amount;
+    }
+    unconverted.set(key, entry);
+  }
+
+  const ordersTotal = orders.filter((order) => order.conversion).length;
+
+  return {
+    amounts: conversions.length + itemSummary.count,
+    statuses,
+    unconverted: [...unconverted.values()].sort(
+      (a, b) =>
+        a.currency.localeCompare(b.currency) || a.date.localeCompare(b.date)
+    ),
+    unconvertedOrders: unconvertedOrders.size,
+    unconvertedPercent: ordersTotal
+      ? (unconvertedOrders.size / ordersTotal) * 100
+      : 0,
+    unconvertedTotals,
+    ordersTotal,
+  };
+}
+
+/**
+ * Describe conversion problems in a few lines for the console, naming the
+ * period if given. Returns an empty list when every amount had an exact
+ * rate.
+ */
+function describeAudit(audit, baseCurrency, periodLabel = null) {
+  const lines = [];
+  const { statuses } = audit;
+  const inPeriod = periodLabel ? ` in ${periodLabel}` : "";
+
+  if (statuses.unconverted) {
+    lines.push(
+      `⚠️ ${statuses.unconverted} amounts${inPeriod} could not be converted to ${baseCurrency} and are left out of the totals:`
+    );
+    audit.unconverted.slice(0, MAX_LISTED).forEach((entry) => {
+      lines.push(
+        `   ${entry.currency} on ${entry.date}: ${
+          entry.orders
+        } orders, ${formatCurrency(entry.amount, entry.currency)}`
+      );
+    });
+    if (audit.unconverted.length > MAX_LISTED) {
+      lines.push(
+        `   ...and ${audit.unconverted.length - MAX_LISTED} more days`
+      );
+    }
+    const totals = Object.entries(audit.unconvertedTotals)
+      .map(([currency, amount]) => formatCurrency(amount, currency))
+      .join(", ");
+    lines.push(
+      `   Affected: ${audit.unconvertedOrders} of ${
+        audit.ordersTotal
+      } delivered orders (${audit.unconvertedPercent.toFixed(1)}%)${
+        totals ? `, ${totals}` : ""
+      }`
+    );
+  }
+
+  if (statuses.latest || statuses.stale) {
+    lines.push(
+      `ℹ️ ${
+        statuses.latest + statuses.stale
+      } amounts${inPeriod} use approximate rates (latest rate: ${
+        statuses.latest
+      }, expired cache: ${statuses.stale})`
+    );
+  }
+
+  return lines;
+}
+
+module.exports = {
+  auditConversions,
+  describeAudit,
+};
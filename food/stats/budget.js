@@ -0,0 +1,199 @@
+const dayjs = require("dayjs");
+const { dataPath } = require("../../utils/paths");
+const { readJson } = require("../../utils/storage");
+const { normalizeName } = require("./aliases");
+
+// Budget file, relative to the data directory
+const BUDGET_FILE = "wolt/budget.json";
+
+// Months the rolling averages are taken over
+const ROLLING_MONTHS = [3, 12];
+
+const isAmount = (value) => typeof value === "number" && value > 0;
+
+/**
+ * Read the budget file: { monthly: amount, venues: { brand: amount },
+ * categories: { category: amount } }, amounts in the base currency.
+ * Returns null when there is no file.
+ */
+function loadBudget(file = dataPath(BUDGET_FILE)) {
+  const budget = readJson(file, null);
+  if (budget === null) return null;
+  if (typeof budget !== "object" || Array.isArray(budget)) {
+    throw new Error(`${file} must contain an object with a monthly budget`);
+  }
+  if (budget.monthly !== undefined && !isAmount(budget.monthly)) {
+    throw new Error(`monthly in ${file} must be a positive amount`);
+  }
+  for (const section of ["venues", "categories"]) {
+    for (const [name, amount] of Object.entries(budget[section] || {})) {
+      if (!isAmount(amount)) {
+        throw new Error(
+          `${section}."${name}" in ${file} must be a positive amount`
+        );
+      }
+    }
+  }
+  return {
+    monthly: budget.monthly ?? null,
+    venues: budget.venues || {},
+    categories: budget.categories || {},
+  };
+}
+
+// Every month from one "YYYY-MM" to another, inclusive
+const listMonths = (from, to) => {
+  const months = [];
+  for (
+    let month = dayjs(`${from}-01`);
+    month.format("YYYY-MM") <= to;
+    month = month.add(1, "month")
+  ) {
+    months.push(month.format("YYYY-MM"));
+  }
+  return months;
+};
+
+// Share of the current month that has passed, from 0 to 1
+const getMonthElapsed = (now) => {
+  const start = now.startOf("month");
+  return now.diff(start) / start.add(1, "month").diff(start);
+};
+
+// Runs of consecutive months over budget: the longest and the one that
+// reaches the latest month
+const findStreaks = (months) => {
+  let longest = null;
+  let run = null;
+  for (const month of months) {
+    if (!month.over) {
+      run = null;
+      continue;
+    }
+    run = run
+      ? { ...run, to: month.month, length: run.length + 1 }
+      : { from: month.month, to: month.month, length: 1 };
+    if (!longest || run.length > longest.length) longest = run;
+  }
+  return { current: run?.length ?? 0, longest };
+};
+
+/**
+ * Spend against budget per month from `from` to `to` ("YYYY-MM"), given
+ * spend per month overall (`byMonth`), per venue (`byVenue`) and per
+ * category (`byCategory`). The
+ * current month is projected to month end at its pace so far; each month
+ * also gets rolling 3- and 12-month averages. Returns null without a
+ * budget.
+ */
+function computeBudget(
+  budget,
+  { byMonth, byVenue, byCategory = {}, from, to, now = dayjs() }
+) {
+  if (!budget || !from || !to) return null;
+
+  const currentMonth = now.format("YYYY-MM");
+  const elapsed = getMonthElapsed(now);
+  // Spend at month end at the current pace
+  const project = (spent, month) =>
+    month === currentMonth && elapsed > 0 ? spent / elapsed : spent;
+
+  const months = [];
+  for (const month of listMonths(from, to)) {
+    const spent = byMonth[month] || 0;
+    const projected = project(spent, month);
+    const entry = {
+      month,
+      spent,
+      projected,
+      budget: budget.monthly,
+      remaining: budget.monthly === null ? null : budget.monthly - spent,
+      percent: budget.monthly === null ? null : (spent / budget.monthly) * 100,
+      over: budget.monthly !== null && projected > budget.monthly,
+    };
+    months.push(entry);
+    for (const count of ROLLING_MONTHS) {
+      const window = months.slice(-count);
+      entry[`rolling${count}`] =
+        window.reduce((sum, { projected }) => sum + projected, 0) /
+        window.length;
+    }
+  }
+
+  const latest = months[months.length - 1];
+  const current = latest.month === currentMonth ? latest : null;
+
+  // Venue and category budgets for the latest month, matched like alias
+  // names
+  const groupBudgets = (budgets, spendingByName) => {
+    const keys = new Map(
+      Object.keys(spendingByName).map((name) => [normalizeName(name), name])
+    );
+    return Object.entries(budgets).map(([budgetName, amount]) => {
+      const name = keys.get(normalizeName(budgetName)) ?? budgetName;
+      const spending = spendingByName[name] || {};
+      const spent = spending[latest.month] || 0;
+      const projected = project(spent, latest.month);
+      return {
+        name,
+        budget: amount,
+        month: latest.month,
+        spent,
+        projected,
+        over: projected > amount,
+        monthsOver: months.filter(
+          ({ month }) => project(spending[month] || 0, month) > amount
+        ).length,
+      };
+    });
+  };
+
+  return {
+    monthly: budget.monthly,
+    months,
+    current: current && {
+      month: current.month,
+      spent: current.spent,
+      projected: current.projected,
+      budget: current.budget,
+      daysLeft: now.endOf("month").diff(now, "day"),
+      projectedOver: current.over,
+    },
+    streaks: budget.monthly === null ? null : findStreaks(months),
+    rolling: Object.fromEntries(
+      ROLLING_MONTHS.map((count) => [count, latest[`rolling${count}`]])
+    ),
+    venues: groupBudgets(budget.venues, byVenue),
+    categories: groupBudgets(budget.categories || {}, byCategory),
+  };
+}
+
+/**
+ * Budgets the current month is projected to go over, the monthly budget
+ * first, as [{ name, projected, budget }]
+ */
+const getOverspends = (budget) => {
+  if (!budget?.current) return [];
+  const overspends = [...budget.venues, ...budget.categories]
+    .filter((group) => group.over)
+    .map((group) => ({
+      name: `${group.name} budget`,
+      projected: group.projected,
+      budget: group.budget,
+    }));
+  if (budget.current.projectedOver) {
+    overspends.unshift({
+      name: "monthly budget",
+      projected: budget.current.projected,
+      budget: budget.current.budget,
+    });
+  }
+  return overspends;
+};
+
+module.exports = {
+  BUDGET_FILE,
+  computeBudget,
+  getOverspends,
+  loadBudget,
+};
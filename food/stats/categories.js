@@ -0,0 +1,383 @@
+const { dataPath } = require("../../utils/paths");
+const { readJson } = require("../../utils/storage");
+const { normalizeName } = require("./aliases");
+
+// Category rules file, relative to the data directory
+const CATEGORIES_FILE = "wolt/categories.json";
+
+// Category of items and orders no rule matched
+const UNCLASSIFIED = "Unclassified";
+
+// Built-in rules, checked after the rules file's. Keywords match whole
+// words, or the start of a word when they end in "*" ("пицц*" matches
+// "Пицца Маргарита").
+const DEFAULT_RULES = [
+  {
+    category: "Pizza",
+    keywords: [
+      "pizza*",
+      "пицц*",
+      "margherita",
+      "маргарит*",
+      "pepperoni",
+      "пепперони",
+      "calzone",
+    ],
+  },
+  {
+    category: "Sushi",
+    keywords: [
+      "sushi",
+      "суши",
+      "roll*",
+      "ролл*",
+      "maki",
+      "маки",
+      "nigiri",
+      "нигири",
+      "sashimi",
+      "сашими",
+      "philadelphia",
+      "филадельфия",
+    ],
+  },
+  {
+    category: "Burgers",
+    keywords: ["*burger*", "*бургер*", "whopper", "воппер"],
+  },
+  {
+    category: "Asian",
+    keywords: [
+      "wok",
+      "вок",
+      "ramen",
+      "рамен",
+      "pho",
+      "фо",
+      "pad thai",
+      "пад тай",
+      "noodle*",
+      "лапш*",
+      "lagman",
+      "лагман",
+      "dumpling*",
+      "dim sum",
+      "gyoza",
+      "гедза",
+      "poke",
+      "поке",
+    ],
+  },
+  {
+    category: "Fast food",
+    keywords: [
+      "fries",
+      "фри",
+      "nugget*",
+      "наггетс*",
+      "hot dog*",
+      "хот дог*",
+      "хотдог*",
+      "shawarma",
+      "шаурм*",
+      "doner",
+      "донер*",
+      "kebab*",
+      "кебаб*",
+      "taco*",
+      "тако",
+      "burrito*",
+      "буррито",
+      "wings",
+      "крылышк*",
+    ],
+  },
+  {
+    category: "Coffee",
+    keywords: [
+      "coffee",
+      "кофе",
+      "latte",
+      "латте",
+      "cappuccino",
+      "капучино",
+      "espresso",
+      "эспрессо",
+      "americano",
+      "американо",
+      "flat white",
+      "флэт уайт",
+      "raf",
+      "раф",
+      "mocha",
+      "мокко",
+    ],
+  },
+  {
+    category: "Drinks",
+    keywords: [
+      "cola",
+      "кола",
+      "pepsi",
+      "пепси",
+      "sprite",
+      "спрайт",
+      "fanta",
+      "фанта",
+      "juice",
+      "сок",
+      "water",
+      "вода",
+      "lemonade",
+      "лимонад",
+      "tea",
+      "чай",
+      "smoothie*",
+      "смузи",
+      "milkshake*",
+      "милкшейк*",
+      "коктейл*",
+    ],
+  },
+  {
+    category: "Desserts",
+    keywords: [
+      "cake*",
+      "торт*",
+      "cheesecake*",
+      "чизкейк*",
+      "dessert*",
+      "десерт*",
+      "ice cream",
+      "мороженое",
+      "tiramisu",
+      "тирамису",
+      "brownie*",
+      "брауни",
+      "donut*",
+      "пончик*",
+      "waffle*",
+      "вафл*",
+      "pancake*",
+      "блин*",
+    ],
+  },
+  {
+    category: "Bakery",
+    keywords: [
+      "croissant*",
+      "круассан*",
+      "bread",
+      "хлеб",
+      "bun*",
+      "булоч*",
+      "baursak*",
+      "баурсак*",
+      "samsa",
+      "самс*",
+      "pie",
+      "pies",
+      "пирог*",
+      "пирож*",
+    ],
+  },
+  {
+    category: "Salads & Soups",
+    keywords: ["salad*", "салат*", "soup*", "суп", "борщ", "caesar", "цезарь"],
+  },
+  {
+    category: "Groceries",
+    on: "venue",
+    keywords: [
+      "market",
+      "маркет",
+      "supermarket",
+      "супермаркет",
+      "magnum",
+      "магнум",
+      "small",
+      "galmart",
+      "галмарт",
+      "grocery",
+      "продукты",
+    ],
+  },
+];
+
+// Word pattern of a keyword, with "*" standing for the rest of a word
+const keywordPattern = (keyword) => {
+  const escape = (text) =>
+    normalizeName(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const start = keyword.startsWith("*") ? "\\S*" : "";
+  const end = keyword.endsWith("*") ? "\\S*" : "";
+  return `${start}${escape(keyword)}${end}`;
+};
+
+// Match a name against a rule: keywords as words (ignoring case and
+// punctuation) or a regular expression on the name as written
+const createMatcher = (rule, source) => {
+  const keywords = rule.keywords?.length
+    ? new RegExp(
+        `(?:^| )(?:${rule.keywords.map(keywordPattern).join("|")})(?: |$)`,
+        "u"
+      )
+    : null;
+  let pattern = null;
+  if (rule.pattern) {
+    try {
+      pattern = new RegExp(rule.pattern, "iu");
+    } catch (error) {
+      throw new Error(
+        `Invalid pattern for "${rule.category}" in ${source}: ${error.message}`
+      );
+    }
+  }
+  return (name, normalized) =>
+    (keywords !== null && keywords.test(normalized)) ||
+    (pattern !== null && pattern.test(name));
+};
+
+// Check a rule from the rules file
+const validateRule = (rule, index, file) => {
+  const where = `rules[${index}] in ${file}`;
+  if (!rule || typeof rule.category !== "string" || !rule.category) {
+    throw new Error(`${where} needs a category`);
+  }
+  if (rule.keywords !== undefined && !Array.isArray(rule.keywords)) {
+    throw new Error(`${where}: keywords must be a list of words`);
+  }
+  // A keyword without letters or digits (e.g. "*" or "-") would match
+  // every name
+  rule.keywords?.forEach((keyword, i) => {
+    if (typeof keyword !== "string" || !normalizeName(keyword)) {
+      throw new Error(
+        `${where} ("${rule.category}"): keywords[${i}] must contain a letter or digit`
+      );
+    }
+  });
+  if (!rule.keywords?.length && !rule.pattern) {
+    throw new Error(`${where} needs keywords or a pattern`);
+  }
+  if (rule.on !== undefined && rule.on !== "item" && rule.on !== "venue") {
+    throw new Error(`${where}: "on" must be "item" or "venue"`);
+  }
+};
+
+/**
+ * Read the category rules file: { rules: [{ category, keywords, pattern,
+ * on }], venues: { venue: category }, defaults: true }. Rules apply to item
+ * names, or to venue names with `on: "venue"`; `venues` sets the category
+ * of items no item rule matched. The built-in rules are checked after the
+ * file's unless `defaults` is false. A missing file means built-in rules
+ * only.
+ */
+function loadCategoryRules(file = dataPath(CATEGORIES_FILE)) {
+  const config = readJson(file, {});
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${file} must contain an object with rules and venues`);
+  }
+  const rules = config.rules || [];
+  if (!Array.isArray(rules)) {
+    throw new Error(`rules in ${file} must be a list`);
+  }
+  rules.forEach((rule, index) => validateRule(rule, index, file));
+
+  const venues = config.venues || {};
+  for (const [venue, category] of Object.entries(venues)) {
+    if (typeof category !== "string" || !category) {
+      throw new Error(`venues."${venue}" in ${file} must be a category name`);
+    }
+  }
+
+  return {
+    rules: [
+      ...rules.map((rule) => ({ ...rule, source: file })),
+      ...(config.defaults === false ? [] : DEFAULT_RULES),
+    ],
+    venues,
+  };
+}
+
+/**
+ * Create the classifier for item and venue names. `item(name, order)`
+ * tries the item rules, then the order's venue; `venue(order)` tries the
+ * venue defaults, then the venue rules. Both return null when nothing
+ * matches.
+ */
+function createClassifier({ rules = DEFAULT_RULES, venues = {} } = {}) {
+  const compiled = rules.map((rule) => ({
+    category: rule.category,
+    on: rule.on || "item",
+    matches: createMatcher(rule, rule.source || "the built-in rules"),
+  }));
+  const itemRules = compiled.filter((rule) => rule.on === "item");
+  const venueRules = compiled.filter((rule) => rule.on === "venue");
+  const venueDefaults = new Map(
+    Object.entries(venues).map(([venue, category]) => [
+      normalizeName(venue),
+      category,
+    ])
+  );
+  const venueCategories = new Map();
+
+  const match = (ruleList, name) => {
+    const normalized = normalizeName(name);
+    return ruleList.find((rule) => rule.matches(name, normalized))?.category;
+  };
+
+  // Venue names of an order, most specific first
+  const venueNames = (order) =>
+    [
+      order.venue_name,
+      order.branch,
+      order.brand,
+      order.venue_name_fixed,
+    ].filter(Boolean);
+
+  const venue = (order) => {
+    const names = venueNames(order);
+    const key = names.join("\n");
+    if (!venueCategories.has(key)) {
+      const category =
+        names
+          .map((name) => venueDefaults.get(normalizeName(name)))
+          .find(Boolean) ??
+        names.map((name) => match(venueRules, name)).find(Boolean) ??
+        null;
+      venueCategories.set(key, category);
+    }
+    return venueCategories.get(key);
+  };
+
+  // Item rule matches per name; names repeat across orders
+  const itemCategories = new Map();
+  const itemCategory = (name) => {
+    if (!itemCategories.has(name)) {
+      itemCategories.set(name, match(itemRules, name) ?? null);
+    }
+    return itemCategories.get(name);
+  };
+
+  return {
+    item: (name, order) => itemCategory(name) ?? venue(order),
+    venue,
+  };
+}
+
+// Category with the highest total in { category: total }, or null
+const pickCategory = (totals) => {
+  let best = null;
+  for (const [category, total] of Object.entries(totals || {})) {
+    if (best === null || total > totals[best]) best = category;
+  }
+  return best;
+};
+
+module.exports = {
+  CATEGORIES_FILE,
+  DEFAULT_RULES,
+  UNCLASSIFIED,
+  createClassifier,
+  loadCategoryRules,
+  pickCategory,
+};
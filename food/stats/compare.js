@@ -0,0 +1,90 @@
+// Metrics compared between periods, with how to format them
+const METRICS = [
+  { key: "spent", label: "Total Spent", type: "currency" },
+  { key: "orders", label: "Total Orders", type: "count" },
+  { key: "items", label: "Total Items", type: "count" },
+  { key: "avgOrderValue", label: "Average Order Value", type: "currency" },
+  {
+    key: "avgOrdersPerMonth",
+    label: "Average Orders per Month",
+    type: "number",
+  },
+  { key: "avgItemsPerOrder", label: "Average Items per Order", type: "number" },
+];
+
+const TOP_COUNT = 5;
+
+// Change between two values; percent is null when there is no baseline
+const delta = (current, previous) => ({
+  current,
+  previous,
+  delta: current - previous,
+  percent: previous ? ((current - previous) / previous) * 100 : null,
+});
+
+/**
+ * Compare rankings (venues or items) between two periods by a count field.
+ * Returns the current top entries with their previous values, entries new
+ * in the current period, entries dropped since the previous one and the
+ * ones that grew the most.
+ */
+const compareRankings = (currentList, previousList, nameKey, countKey) => {
+  const previousByName = new Map(
+    previousList.map((entry) => [entry[nameKey], entry])
+  );
+  const currentByName = new Map(
+    currentList.map((entry) => [entry[nameKey], entry])
+  );
+  const withChange = (entry) => ({
+    name: entry[nameKey],
+    ...delta(
+      entry[countKey],
+      previousByName.get(entry[nameKey])?.[countKey] || 0
+    ),
+    total: entry.total,
+  });
+
+  return {
+    top: currentList.slice(0, TOP_COUNT).map(withChange),
+    new: currentList
+      .filter((entry) => !previousByName.has(entry[nameKey]))
+      .slice(0, TOP_COUNT)
+      .map(withChange),
+    dropped: previousList
+      .filter((entry) => !currentByName.has(entry[nameKey]))
+      .slice(0, TOP_COUNT)
+      .map((entry) => ({
+        name: entry[nameKey],
+        ...delta(0, entry[countKey]),
+        total: 0,
+      })),
+    rising: currentList
+      .filter((entry) => previousByName.has(entry[nameKey]))
+      .map(withChange)
+      .filter((entry) => entry.delta > 0)
+      .sort((a, b) => b.delta - a.delta)
+      .slice(0, TOP_COUNT),
+  };
+};
+
+/**
+ * Compare stats computed for two periods
+ */
+function compareStats(current, previous) {
+  return {
+    baseCurrency: current.baseCurrency,
+    current: current.period,
+    previous: previous.period,
+    metrics: METRICS.map((metric) => ({
+      ...metric,
+      ...delta(current.totals[metric.key], previous.totals[metric.key]),
+    })),
+    venues: compareRankings(current.venues, previous.venues, "venue", "orders"),
+    items: compareRankings(current.items, previous.items, "name", "count"),
+    stats: { current, previous },
+  };
+}
+
+module.exports = {
+  compareStats,
+};
@@ -0,0 +1,576 @@
+const dayjs = require("dayjs");
+const { getOrderKey } = require("../providers/schema");
+const { auditConversions } = require("./audit");
+const { isDelivered } = require("./convert");
+const { computeBudget } = require("./budget");
+const { computeGeo } = require("./geo");
+const { createGroupTotals } = require("./group");
+const {
+  MEALS,
+  WEEKDAYS,
+  getLocalParts,
+  getLocalTime,
+  getMeal,
+} = require("./time");
+
+// Count records per key, keeping first-seen order for ties
+const countBy = (records, getKey) =>
+  records.reduce((acc, record) => {
+    const key = getKey(record);
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+
+// Division that yields 0 for empty periods instead of NaN
+const ratio = (value, count) => (count ? value / count : 0);
+
+// Entry with the highest count
+const topEntry = (counts) =>
+  Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+// Brand an order is counted under (see normalizeOrders)
+const getBrand = (order) => order.brand ?? order.venue_name_fixed;
+
+// Summary of an order used in fun facts
+const describeOrder = (order, extra = {}) =>
+  order
+    ? {
+        order_id: order.order_id,
+        venue: getBrand(order),
+        total: order.total_price_base,
+        date: order.delivery_time,
+        ...extra,
+      }
+    : null;
+
+/**
+ * Running fee totals over delivered orders that carry a price breakdown
+ */
+const createFeeTotals = () => {
+  const totals = {
+    subtotal: 0,
+    deliveryFee: 0,
+    serviceFee: 0,
+    smallOrderFee: 0,
+    tips: 0,
+    discounts: 0,
+    subscriptionSavings: 0,
+  };
+  let ordersWithFees = 0;
+  let spent = 0;
+  const venueFees = {};
+
+  const add = (order) => {
+    ordersWithFees++;
+    totals.subtotal += order.subtotal_base;
+    totals.deliveryFee += order.delivery_fee_base;
+    totals.serviceFee += order.service_fee_base;
+    totals.smallOrderFee += order.small_order_fee_base;
+    totals.tips += order.tip_base;
+    totals.discounts += order.discount_base;
+    totals.subscriptionSavings += order.subscription_discount_base;
+    spent += order.total_price_base;
+
+    const orderFees =
+      order.delivery_fee_base +
+      order.service_fee_base +
+      order.small_order_fee_base;
+    const venue = getBrand(order);
+    venueFees[venue] = venueFees[venue] || { count: 0, fees: 0 };
+    venueFees[venue].count++;
+    venueFees[venue].fees += orderFees;
+  };
+
+  const result = (ordersTotal) => {
+    if (!ordersWithFees) return null;
+
+    const totalFees =
+      totals.deliveryFee + totals.serviceFee + totals.smallOrderFee;
+
+    return {
+      ordersWithFees,
+      ordersTotal,
+      ...totals,
+      totalFees,
+      feesPercent: spent > 0 ? (totalFees / spent) * 100 : 0,
+      topVenues: Object.entries(venueFees)
+        .filter(([, stats]) => stats.fees > 0)
+        .sort((a, b) => b[1].fees - a[1].fees)
+        .slice(0, 5)
+        .map(([venue, stats]) => ({
+          venue,
+          orders: stats.count,
+          fees: stats.fees,
+          feesPerOrder: stats.fees / stats.count,
+        })),
+    };
+  };
+
+  return { add, result };
+};
+
+/**
+ * Cancellation and refund figures over orders of every status
+ */
+const computeOutcomes = (orders) => {
+  const placed = orders.length;
+  const statuses = Object.fromEntries(
+    Object.entries(
+      countBy(orders, (order) => order.status || "delivered")
+    ).sort((a, b) => b[1] - a[1])
+  );
+  const refundedOrders = orders.filter(
+    (order) => order.status === "refunded" || order.refund_amount > 0
+  );
+  const cancelled = (statuses.cancelled || 0) + (statuses.rejected || 0);
+  const rate = (count) => (placed ? (count / placed) * 100 : 0);
+
+  const failedByVenue = orders
+    .filter((order) => !isDelivered(order))
+    .reduce((acc, order) => {
+      const venue = getBrand(order);
+      acc[venue] = acc[venue] || {};
+      acc[venue][order.status] = (acc[venue][order.status] || 0) + 1;
+      return acc;
+    }, {});
+
+  return {
+    placed,
+    statuses,
+    cancelled,
+    cancellationRate: rate(cancelled),
+    refunded: refundedOrders.length,
+    refundRate: rate(refundedOrders.length),
+    refundedAmount: refundedOrders.reduce(
+      (sum, order) => sum + (order.refund_amount_base || 0),
+      0
+    ),
+    topFailedVenues: Object.entries(failedByVenue)
+      .map(([venue, venueStatuses]) => ({
+        venue,
+        statuses: venueStatuses,
+        count: Object.values(venueStatuses).reduce(
+          (sum, count) => sum + count,
+          0
+        ),
+      }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5),
+  };
+};
+
+/**
+ * Spend per category from the item summary, with the number of orders
+ * mostly spent on it and the change from the month before `month`
+ */
+const computeCategories = (itemSummary, ordersByCategory, month) => {
+  const categories = Object.entries(itemSummary.byCategory);
+  const spent = categories.reduce((sum, [, stats]) => sum + stats.total, 0);
+  const previousMonth = month
+    ? dayjs(`${month}-01`).subtract(1, "month").format("YYYY-MM")
+    : null;
+
+  return categories
+    .map(([category, stats]) => {
+      const current = stats.byMonth[month] || 0;
+      const previous = stats.byMonth[previousMonth] || 0;
+      return {
+        category,
+        items: stats.count,
+        orders: ordersByCategory[category] || 0,
+        total: stats.total,
+        percent: ratio(stats.total * 100, spent),
+        monthly: Object.keys(stats.byMonth)
+          .sort()
+          .map((key) => ({ month: key, total: stats.byMonth[key] })),
+        trend: {
+          month,
+          total: current,
+          previousMonth,
+          previous,
+          percent: previous ? ((current - previous) / previous) * 100 : null,
+        },
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+// Items no category rule matched, most ordered first
+const describeUnclassified = (itemSummary) => {
+  const entries = Object.entries(itemSummary.unclassified);
+  const spent = Object.values(itemSummary.byCategory).reduce(
+    (sum, stats) => sum + stats.total,
+    0
+  );
+  const total = entries.reduce((sum, [, stats]) => sum + stats.total, 0);
+  return {
+    items: entries.reduce((sum, [, stats]) => sum + stats.count, 0),
+    total,
+    percent: ratio(total * 100, spent),
+    names: entries
+      .sort((a, b) => b[1].count - a[1].count)
+      .map(([name, stats]) => ({
+        name,
+        count: stats.count,
+        total: stats.total,
+        venues: [...stats.venues],
+      })),
+  };
+};
+
+/**
+ * Compute all statistics from converted orders and an item summary (see
+ * createItemSummary), going over the delivered orders once.
+ * Spending figures cover delivered orders only, and amount averages the
+ * converted ones (`convertedOrders`), so that orders without a rate do not
+ * pull them down. The result is a plain, JSON-serializable object shared
+ * by every output format. When a requested `period` is given (see
+ * describePeriod), it sets the reported date range;
+ * a `home` location adds distances to the geographic breakdown and a
+ * `budget` (see loadBudget) adds spend against budget. `serviceLabels`
+ * names the delivery services in the per-service breakdown and `amount`
+ * records which amount the totals are based on (see selectAmount).
+ */
+function computeStats(
+  orders,
+  itemSummary,
+  {
+    baseCurrency,
+    period = null,
+    home = null,
+    budget = null,
+    serviceLabels = {},
+    amount = "share",
+  } = {}
+) {
+  const deliveredOrders = orders.filter(isDelivered);
+  const itemCountByOrder = itemSummary.countByOrder;
+
+  let firstDelivery;
+  let lastDelivery;
+  let totalSpent = 0;
+  // Orders with a base-currency total, which the amount averages are over
+  let convertedOrders = 0;
+  const ordersByMonth = {};
+  const ordersByDay = {};
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  const mealStats = MEALS.map((meal) => ({ ...meal, orders: 0, total: 0 }));
+  const venueStats = {};
+  const branchStats = {};
+  const locationStats = {};
+  const monthlySpending = {};
+  const venueMonthlySpending = {};
+  const ordersByCategory = {};
+  const currencyStats = {};
+  const serviceStats = {};
+  const fees = createFeeTotals();
+  const groups = createGroupTotals();
+
+  // Fun facts; ties go to the pricier order, then the earlier one
+  let mostExpensive = null;
+  let cheapest = null;
+  let mostItems = null;
+
+  deliveredOrders.forEach((order, index) => {
+    const price = order.total_price_base;
+    const converted = price !== null;
+    // Time buckets in the venue's local time
+    const localTime = getLocalTime(order);
+    const local = localTime ? getLocalParts(localTime) : null;
+    const month = local?.month ?? order.year_month;
+    const venue = getBrand(order);
+    const itemCount = itemCountByOrder[getOrderKey(order)] || 0;
+
+    // Date range
+    if (firstDelivery === undefined || order.delivery_time < firstDelivery) {
+      firstDelivery = order.delivery_time;
+    }
+    if (lastDelivery === undefined || order.delivery_time > lastDelivery) {
+      lastDelivery = order.delivery_time;
+    }
+
+    totalSpent += price;
+    if (converted) convertedOrders++;
+
+    // Time-based analysis
+    ordersByMonth[month] = (ordersByMonth[month] || 0) + 1;
+
+    // Venues
+    venueStats[venue] = venueStats[venue] || {
+      count: 0,
+      total: 0,
+      branches: new Set(),
+      hours: new Array(24).fill(0),
+    };
+    venueStats[venue].count++;
+    venueStats[venue].total += price;
+    venueMonthlySpending[venue] = venueMonthlySpending[venue] || {};
+    venueMonthlySpending[venue][month] =
+      (venueMonthlySpending[venue][month] || 0) + price;
+
+    if (local) {
+      const day = WEEKDAYS[local.weekday];
+      ordersByDay[day] = (ordersByDay[day] || 0) + 1;
+      heatmap[local.weekday][local.hour]++;
+      venueStats[venue].hours[local.hour]++;
+
+      const meal = mealStats[MEALS.indexOf(getMeal(local.hour))];
+      meal.orders++;
+      meal.total += price;
+    }
+
+    const branch = order.branch ?? venue;
+    venueStats[venue].branches.add(branch);
+    branchStats[branch] = branchStats[branch] || {
+      brand: venue,
+      count: 0,
+      total: 0,
+    };
+    branchStats[branch].count++;
+    branchStats[branch].total += price;
+
+    const category = itemSummary.getOrderCategory(order);
+    ordersByCategory[category] = (ordersByCategory[category] || 0) + 1;
+
+    // Locations, for orders exported with venue coordinates
+    if (order.latitude != null && order.longitude != null) {
+      locationStats[branch] = locationStats[branch] || {
+        branch,
+        brand: venue,
+        latitude: order.latitude,
+        longitude: order.longitude,
+        timezone: order.venue_timezone,
+        orders: 0,
+        total: 0,
+      };
+      locationStats[branch].orders++;
+      locationStats[branch].total += price;
+    }
+
+    // Monthly spending
+    monthlySpending[month] = monthlySpending[month] || {
+      total: 0,
+      count: 0,
+      converted: 0,
+      items: 0,
+    };
+    monthlySpending[month].total += price;
+    monthlySpending[month].count++;
+    if (converted) monthlySpending[month].converted++;
+    monthlySpending[month].items += itemCount;
+
+    // Delivery services
+    serviceStats[order.service] = serviceStats[order.service] || {
+      service: order.service,
+      label: serviceLabels[order.service] ?? order.service,
+      orders: 0,
+      converted: 0,
+      total: 0,
+    };
+    serviceStats[order.service].orders++;
+    if (converted) serviceStats[order.service].converted++;
+    serviceStats[order.service].total += price;
+
+    // Currency distribution, listed by each currency's priciest order
+    const currency = currencyStats[order.currency] || {
+      currency: order.currency,
+      orders: 0,
+      total: 0,
+      totalBase: 0,
+      top: { price, index },
+    };
+    currency.orders++;
+    currency.total += order.total_price;
+    currency.totalBase += price;
+    if (price > currency.top.price) currency.top = { price, index };
+    currencyStats[order.currency] = currency;
+
+    // Fees and group vs. solo orders, over converted amounts only
+    if (converted && order.delivery_fee_base !== undefined) fees.add(order);
+    if (converted) groups.add(order);
+
+    // Fun facts
+    if (!mostExpensive || price > mostExpensive.total_price_base) {
+      mostExpensive = order;
+    }
+    if (price > 0 && (!cheapest || price < cheapest.total_price_base)) {
+      cheapest = order;
+    }
+    if (
+      !mostItems ||
+      itemCount > mostItems.itemCount ||
+      (itemCount === mostItems.itemCount &&
+        price > mostItems.order.total_price_base)
+    ) {
+      mostItems = { order, itemCount };
+    }
+  });
+
+  // Data range, or the requested period (never extending past today)
+  const startDate = period?.from ? dayjs(period.from).valueOf() : firstDelivery;
+  const endDate = period?.to
+    ? Math.min(dayjs(period.to).endOf("day").valueOf(), Date.now())
+    : lastDelivery;
+  const monthsBetween = dayjs(endDate).diff(dayjs(startDate), "month") + 1;
+
+  const totalOrders = deliveredOrders.length;
+  const totalItems = itemSummary.count;
+  const mostOrderedMonth = topEntry(ordersByMonth);
+  const mostOrderedDay = topEntry(ordersByDay);
+
+  const venues = Object.entries(venueStats)
+    .sort((a, b) => b[1].count - a[1].count)
+    .map(([venue, stats]) => ({
+      venue,
+      orders: stats.count,
+      total: stats.total,
+      branches: stats.branches.size,
+      // Most common local delivery hour (the earliest on ties)
+      typicalHour: stats.hours.some(Boolean)
+        ? stats.hours.indexOf(Math.max(...stats.hours))
+        : null,
+    }));
+  const branches = Object.entries(branchStats)
+    .sort((a, b) => b[1].count - a[1].count)
+    .map(([branch, stats]) => ({
+      branch,
+      brand: stats.brand,
+      orders: stats.count,
+      total: stats.total,
+    }));
+
+  const itemList = Object.entries(itemSummary.byName)
+    .sort((a, b) => b[1].count - a[1].count)
+    .map(([name, stats]) => ({
+      name,
+      count: stats.count,
+      total: stats.total,
+      variants: [...stats.variants],
+    }));
+
+  const monthly = Object.entries(monthlySpending).map(([month, stats]) => ({
+    month,
+    total: stats.total,
+    count: stats.count,
+    converted: stats.converted,
+    items: stats.items,
+    avgPerOrder: ratio(stats.total, stats.converted),
+    avgItemsPerOrder: stats.items / stats.count,
+  }));
+
+  // Months covered by the stats
+  const monthKeys = Object.keys(monthlySpending).sort();
+  const monthRange = {
+    from: period?.from ? dayjs(period.from).format("YYYY-MM") : monthKeys[0],
+    to: [dayjs(endDate).format("YYYY-MM"), monthKeys[monthKeys.length - 1]]
+      .sort()
+      .pop(),
+  };
+
+  const byTotal = [...monthly].sort((a, b) => b.total - a.total);
+  const byTotalAsc = [...byTotal].sort((a, b) => a.total - b.total);
+  // Months without a converted order have no average to rank
+  const byAvgOrder = byTotalAsc
+    .filter((month) => month.converted)
+    .sort((a, b) => b.avgPerOrder - a.avgPerOrder);
+  const average = (field) =>
+    ratio(
+      monthly.reduce((sum, month) => sum + month[field], 0),
+      monthly.length
+    );
+
+  return {
+    baseCurrency,
+    amount,
+    period: {
+      label: period?.label ?? null,
+      start: startDate,
+      end: endDate,
+      months: monthsBetween,
+    },
+    totals: {
+      orders: totalOrders,
+      items: totalItems,
+      spent: totalSpent,
+      convertedOrders,
+      avgItemsPerOrder: ratio(totalItems, totalOrders),
+      avgOrderValue: ratio(totalSpent, convertedOrders),
+      avgOrdersPerMonth: ratio(totalOrders, monthsBetween),
+    },
+    time: {
+      mostActiveMonth: mostOrderedMonth
+        ? { month: mostOrderedMonth[0], orders: mostOrderedMonth[1] }
+        : null,
+      mostActiveDay: mostOrderedDay
+        ? { day: mostOrderedDay[0], orders: mostOrderedDay[1] }
+        : null,
+      ordersByMonth,
+      ordersByDay,
+      // Orders per weekday (Monday first) and local hour
+      heatmap: WEEKDAYS.map((day, index) => ({
+        day,
+        hours: heatmap[index],
+      })),
+      meals: mealStats.map((meal) => ({
+        ...meal,
+        percent: ratio(meal.orders * 100, totalOrders),
+      })),
+    },
+    services: Object.values(serviceStats)
+      .sort((a, b) => b.total - a.total)
+      .map((service) => ({
+        ...service,
+        avgOrderValue: ratio(service.total, service.converted),
+        percent: ratio(service.total * 100, totalSpent),
+      })),
+    venues,
+    branches,
+    items: itemList,
+    categories: computeCategories(itemSummary, ordersByCategory, monthRange.to),
+    unclassified: describeUnclassified(itemSummary),
+    monthly: [...monthly].sort((a, b) => a.month.localeCompare(b.month)),
+    spending: {
+      topMonth: byTotal[0] || null,
+      lowestMonth: byTotalAsc[0] || null,
+      averages: {
+        spending: average("total"),
+        orders: average("count"),
+        items: average("items"),
+      },
+      highestAvgOrder: byAvgOrder[0] || null,
+      lowestAvgOrder: byAvgOrder[byAvgOrder.length - 1] || null,
+    },
+    budget: computeBudget(budget, {
+      byMonth: Object.fromEntries(
+        monthly.map((month) => [month.month, month.total])
+      ),
+      byVenue: venueMonthlySpending,
+      byCategory: Object.fromEntries(
+        Object.entries(itemSummary.byCategory).map(([category, stats]) => [
+          category,
+          stats.byMonth,
+        ])
+      ),
+      ...monthRange,
+    }),
+    fees: fees.result(totalOrders),
+    groups: groups.result(),
+    outcomes: computeOutcomes(orders),
+    funFacts: {
+      mostExpensiveOrder: describeOrder(mostExpensive),
+      mostItemsInOrder: describeOrder(mostItems?.order, {
+        items: mostItems?.itemCount,
+      }),
+      cheapestOrder: describeOrder(cheapest),
+    },
+    currencies: Object.values(currencyStats)
+      .sort((a, b) => b.top.price - a.top.price || a.top.index - b.top.index)
+      .map(({ top, ...currency }) => currency),
+    geo: computeGeo(Object.values(locationStats), { home }),
+    conversion: auditConversions(orders, itemSummary),
+  };
+}
+
+module.exports = {
+  computeStats,
+};
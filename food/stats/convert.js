@@ -0,0 +1,103 @@
+const {
+  convertWithStatus,
+  preloadExchangeRates,
+} = require("../../utils/currency");
+
+// Order fields converted to the base currency alongside total_price
+const FEE_FIELDS = [
+  "subtotal",
+  "delivery_fee",
+  "service_fee",
+  "small_order_fee",
+  "tip",
+  "discount",
+  "subscription_discount",
+];
+
+// Orders exported before statuses were kept are all delivered
+const isDelivered = (order) => !order.status || order.status === "delivered";
+
+// Base-currency value, or null if there is no rate
+const toBase = (amount, rate) => (rate === null ? null : amount * rate);
+
+/**
+ * Convert order amounts to the base currency.
+ * Spending amounts are only converted for delivered orders; refunds are
+ * converted for every order that has one. Adds `*_base` fields to copies
+ * of the orders, with the rate behind them and its status in `conversion`
+ * (`refund_conversion` for refunds). Amounts without a rate get a null
+ * `*_base` value. Rates are fetched up front, one lookup per day.
+ */
+async function convertOrders(orders) {
+  await preloadExchangeRates([
+    ...orders
+      .filter(isDelivered)
+      .map((order) => [order.currency, order.delivery_time]),
+    ...orders
+      .filter((order) => order.refund_amount > 0)
+      .map((order) => [
+        order.currency,
+        order.order_time ?? order.delivery_time,
+      ]),
+  ]);
+
+  return Promise.all(
+    orders.map(async (order) => {
+      const converted = { ...order };
+      const date = order.order_time ?? order.delivery_time;
+
+      if (isDelivered(order)) {
+        const { amount, ...conversion } = await convertWithStatus(
+          order.total_price,
+          order.currency,
+          order.delivery_time
+        );
+        converted.total_price_base = amount;
+        converted.conversion = conversion;
+
+        // Orders exported before the price breakdown have no fee fields.
+        // Fees share the order's rate.
+        if (order.delivery_fee !== undefined) {
+          for (const field of FEE_FIELDS) {
+            converted[`${field}_base`] = order[field]
+              ? toBase(order[field], conversion.rate)
+              : 0;
+          }
+        }
+      }
+
+      if (order.refund_amount > 0) {
+        const { amount, ...conversion } = await convertWithStatus(
+          order.refund_amount,
+          order.currency,
+          date
+        );
+        converted.refund_amount_base = amount;
+        converted.refund_conversion = conversion;
+      }
+
+      return converted;
+    })
+  );
+}
+
+/**
+ * Base-currency value of another amount of a converted, delivered order
+ * (e.g. its full bill), at the order's rate (`order.conversion`)
+ */
+const getAmountBase = (amount, order) => toBase(amount, order.conversion.rate);
+
+/**
+ * Base-currency price of an item of a converted, delivered order. Items
+ * are priced in their order's currency, so they use the order's rate;
+ * this keeps it synchronous while items are streamed.
+ */
+const getItemPriceBase = (item, order) => getAmountBase(item.price, order);
+
+module.exports = {
+  FEE_FIELDS,
+  convertOrders,
+  getAmountBase,
+  getItemPriceBase,
+  isDelivered,
+};
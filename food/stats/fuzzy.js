@@ -0,0 +1,188 @@
+const { normalizeName } = require("./aliases");
+
+// Cyrillic (Russian and Kazakh) to Latin, so "Бургер" can match "Burger"
+const TRANSLITERATION = {
+  а: "a",
+  ә: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  ғ: "g",
+  д: "d",
+  е: "e",
+  ё: "e",
+  ж: "zh",
+  з: "z",
+  и: "i",
+  й: "i",
+  і: "i",
+  к: "k",
+  қ: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  ң: "n",
+  о: "o",
+  ө: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ұ: "u",
+  ү: "u",
+  ф: "f",
+  х: "h",
+  һ: "h",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "sch",
+  ъ: "",
+  ы: "y",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+};
+
+// Similarity from which two names are suggested as the same
+const DEFAULT_THRESHOLD = 0.75;
+
+// Fold spelling differences that survive transliteration
+// ("classic" and "klassik", "philadelphia" and "filadelfia")
+const foldSpelling = (text) =>
+  text
+    .replace(/ph/g, "f")
+    .replace(/gh/g, "g")
+    .replace(/c(?!h)/g, "k")
+    .replace(/[yj]/g, "i")
+    .replace(/w/g, "v")
+    .replace(/(.)\1+/g, "$1");
+
+/**
+ * Loose key for suggestions: transliterated and spelling-folded, without
+ * parenthesized notes, with words sorted ("Classic burger (new)" and
+ * "Бургер Классик" both become "burger klasik")
+ */
+const fuzzyKey = (name) =>
+  normalizeName(String(name).replace(/\([^)]*\)|\[[^\]]*\]/g, " "))
+    .replace(/./g, (char) => TRANSLITERATION[char] ?? char)
+    .split(" ")
+    .map(foldSpelling)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+
+// Letter pairs of a key, for the Dice coefficient
+const bigrams = (key) => {
+  const pairs = new Set();
+  for (let i = 0; i < key.length - 1; i++) pairs.add(key.slice(i, i + 2));
+  return pairs;
+};
+
+// Dice similarity of two keys, from 0 (nothing shared) to 1 (same)
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (!pairsA.size || !pairsB.size) return 0;
+  let shared = 0;
+  for (const pair of pairsA) if (pairsB.has(pair)) shared++;
+  return (2 * shared) / (pairsA.size + pairsB.size);
+};
+
+// Names with notes like "(new)" make poor canonical names
+const hasNote = (name) => /[([]/.test(name);
+
+// One name is the other followed by more words ("Burger King" and
+// "Burger King Express")
+const isWordPrefix = (a, b) => {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.length >= 4 && longer.startsWith(`${shorter} `);
+};
+
+/**
+ * Suggest names that look like the same venue or item. `entries` are
+ * { name, count } for names as currently grouped; similar names are joined
+ * into groups, each named after its most frequent member without notes
+ * in brackets. With
+ * `prefixes`, names that extend another name by more words are joined too
+ * (chains with branch suffixes). Returns [{ canonical, variants, count }].
+ */
+function suggestAliases(
+  entries,
+  { threshold = DEFAULT_THRESHOLD, prefixes = false } = {}
+) {
+  const keyed = entries.map((entry) => ({
+    ...entry,
+    key: fuzzyKey(entry.name),
+    normalized: normalizeName(entry.name),
+  }));
+
+  // Union-find over entries
+  const parent = keyed.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    parent[find(a)] = find(b);
+  };
+
+  // Only compare names that share the start of a word
+  const candidates = new Map();
+  keyed.forEach((entry, index) => {
+    for (const word of new Set(entry.key.split(" "))) {
+      const block = word.slice(0, 3);
+      if (!candidates.has(block)) candidates.set(block, []);
+      candidates.get(block).push(index);
+    }
+  });
+
+  for (const indexes of candidates.values()) {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = keyed[indexes[i]];
+        const b = keyed[indexes[j]];
+        if (
+          similarity(a.key, b.key) >= threshold ||
+          (prefixes && isWordPrefix(a.normalized, b.normalized))
+        ) {
+          union(indexes[i], indexes[j]);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  keyed.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      const [canonical, ...variants] = [...group].sort(
+        (a, b) => hasNote(a.name) - hasNote(b.name) || b.count - a.count
+      );
+      return {
+        canonical: canonical.name,
+        variants: variants.map(({ name, count }) => ({ name, count })),
+        count: group.reduce((sum, entry) => sum + entry.count, 0),
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  fuzzyKey,
+  similarity,
+  suggestAliases,
+};
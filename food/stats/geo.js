@@ -0,0 +1,193 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Venues within this distance of an area's busiest venue belong to it
+const AREA_RADIUS_KM = 30;
+
+// Upper bounds of the distance-from-home ranges, in km
+const DISTANCE_RANGES = [1, 3, 5, 10, 30];
+
+// Great-circle distance between two { latitude, longitude } points in km
+const distanceKm = (a, b) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Read the home location from HOME_LOCATION ("latitude,longitude").
+ * Returns null when it is not set.
+ */
+function getHomeLocation() {
+  const value = process.env.HOME_LOCATION;
+  if (!value) return null;
+
+  const [latitude, longitude] = value.split(",").map(Number);
+  if (
+    !(Math.abs(latitude) <= 90) ||
+    !(Math.abs(longitude) <= 180) ||
+    value.split(",").length !== 2
+  ) {
+    throw new Error(
+      `HOME_LOCATION expects "latitude,longitude" like 43.2380,76.9450, got "${value}"`
+    );
+  }
+  return { latitude, longitude };
+}
+
+// Area name from a venue timezone ("Europe/Riga" → "Riga")
+const getAreaName = (timezone) =>
+  timezone ? timezone.split("/").pop().replace(/_/g, " ") : "Unknown";
+
+/**
+ * Group venue locations into areas: each area is centered on its busiest
+ * venue and takes in the venues within AREA_RADIUS_KM. Areas are named
+ * after their venues' timezone city.
+ */
+const groupIntoAreas = (locations) => {
+  const areas = [];
+  const byOrders = [...locations].sort((a, b) => b.orders - a.orders);
+
+  for (const location of byOrders) {
+    let area = areas.find(
+      (candidate) => distanceKm(candidate.center, location) <= AREA_RADIUS_KM
+    );
+    if (!area) {
+      area = {
+        center: { latitude: location.latitude, longitude: location.longitude },
+        timezone: location.timezone,
+        locations: [],
+      };
+      areas.push(area);
+    }
+    area.locations.push(location);
+  }
+
+  // Tell apart areas in the same timezone by their coordinates
+  const seen = new Set();
+  for (const area of areas) {
+    const name = getAreaName(area.timezone);
+    area.name = seen.has(name)
+      ? `${name} (${area.center.latitude.toFixed(
+          2
+        )}, ${area.center.longitude.toFixed(2)})`
+      : name;
+    seen.add(name);
+  }
+  return areas;
+};
+
+// Orders and spend per distance range from home, with order-weighted
+// average and median distances
+const computeDistances = (venues) => {
+  const ranges = [...DISTANCE_RANGES, Infinity].map((to, index) => {
+    const from = index ? DISTANCE_RANGES[index - 1] : 0;
+    return {
+      label:
+        to === Infinity
+          ? `${from}+ km`
+          : from
+          ? `${from}-${to} km`
+          : `< ${to} km`,
+      from,
+      to: to === Infinity ? null : to,
+      orders: 0,
+      total: 0,
+    };
+  });
+
+  let orders = 0;
+  let weightedDistance = 0;
+  for (const venue of venues) {
+    const range = ranges.find(
+      (candidate) => candidate.to === null || venue.distanceKm < candidate.to
+    );
+    range.orders += venue.orders;
+    range.total += venue.total;
+    orders += venue.orders;
+    weightedDistance += venue.distanceKm * venue.orders;
+  }
+
+  const byDistance = [...venues].sort((a, b) => a.distanceKm - b.distanceKm);
+  let counted = 0;
+  const median = byDistance.find((venue) => {
+    counted += venue.orders;
+    return counted >= orders / 2;
+  });
+  const farthest = byDistance[byDistance.length - 1];
+
+  return {
+    ranges,
+    averageKm: orders ? weightedDistance / orders : 0,
+    medianKm: median?.distanceKm ?? 0,
+    farthest: farthest
+      ? { venue: farthest.branch, distanceKm: farthest.distanceKm }
+      : null,
+  };
+};
+
+/**
+ * Geographic breakdown of spend from per-venue locations
+ * ({ branch, brand, latitude, longitude, timezone, orders, total }):
+ * venues with their area, spend per area and, with a home location,
+ * distances from home. Returns null when no venue has coordinates.
+ */
+function computeGeo(locations, { home = null } = {}) {
+  const located = locations.filter(
+    (location) =>
+      Number.isFinite(location.latitude) && Number.isFinite(location.longitude)
+  );
+  if (!located.length) return null;
+
+  const areas = groupIntoAreas(located);
+  const spent = located.reduce((sum, location) => sum + location.total, 0);
+
+  const venues = areas
+    .flatMap((area) =>
+      area.locations.map((location) => ({
+        branch: location.branch,
+        brand: location.brand,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        area: area.name,
+        orders: location.orders,
+        total: location.total,
+        distanceKm: home ? distanceKm(home, location) : null,
+      }))
+    )
+    .sort((a, b) => b.orders - a.orders);
+
+  return {
+    home,
+    areas: areas
+      .map((area) => {
+        const sum = (field) =>
+          area.locations.reduce((acc, location) => acc + location[field], 0);
+        const total = sum("total");
+        return {
+          area: area.name,
+          latitude: area.center.latitude,
+          longitude: area.center.longitude,
+          home: !!home && distanceKm(area.center, home) <= AREA_RADIUS_KM,
+          venues: area.locations.length,
+          orders: sum("orders"),
+          total,
+          percent: spent > 0 ? (total / spent) * 100 : 0,
+        };
+      })
+      .sort((a, b) => b.total - a.total),
+    venues,
+    distances: home ? computeDistances(venues) : null,
+  };
+}
+
+module.exports = {
+  computeGeo,
+  distanceKm,
+  getHomeLocation,
+};
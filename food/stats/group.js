@@ -0,0 +1,119 @@
+const { getAmountBase } = require("./convert");
+
+// Amounts the totals can be based on: our share of each bill, or what we
+// were actually charged (the whole bill when we hosted a group order)
+const AMOUNTS = ["share", "paid"];
+
+// Division that yields 0 for empty groups instead of NaN
+const ratio = (value, count) => (count ? value / count : 0);
+
+// Brand an order is counted under (see normalizeOrders)
+const getBrand = (order) => order.brand ?? order.venue_name_fixed;
+
+/**
+ * Base the order totals on the chosen amount. With "paid", total_price
+ * becomes what was charged for each order and our share is kept in
+ * share_price; orders exported before the paid amount was kept stay on
+ * their share.
+ */
+const selectAmount = (orders, amount) =>
+  amount === "paid"
+    ? orders.map((order) =>
+        typeof order.paid_price === "number"
+          ? {
+              ...order,
+              share_price: order.total_price,
+              total_price: order.paid_price,
+            }
+          : order
+      )
+    : orders;
+
+/**
+ * Running group vs. solo totals over converted, delivered orders: our
+ * share of group orders against their full bills, what we paid for them,
+ * the group sizes and the places we order from together
+ */
+const createGroupTotals = () => {
+  const solo = { orders: 0, total: 0 };
+  const group = { orders: 0, unknownHost: 0, share: 0, bill: 0, paid: 0 };
+  const sizes = { count: 0, participants: 0 };
+  const venueStats = {};
+
+  const add = (order) => {
+    if (!order.group_order) {
+      solo.orders++;
+      solo.total += order.total_price_base;
+      return;
+    }
+
+    const share = getAmountBase(order.share_price ?? order.total_price, order);
+    const bill = getAmountBase(order.bill_total ?? order.total_price, order);
+    const paid = getAmountBase(order.paid_price ?? order.total_price, order);
+    group.orders++;
+    // Wolt did not say who hosted, so what we paid is taken to be our share
+    if (order.group_host == null) group.unknownHost++;
+    group.share += share;
+    group.bill += bill;
+    group.paid += paid;
+
+    const venue = getBrand(order);
+    venueStats[venue] = venueStats[venue] || {
+      orders: 0,
+      share: 0,
+      bill: 0,
+      count: 0,
+      participants: 0,
+    };
+    venueStats[venue].orders++;
+    venueStats[venue].share += share;
+    venueStats[venue].bill += bill;
+
+    // Group size is only known when the participants were exported
+    if (order.participants) {
+      sizes.count++;
+      sizes.participants += order.participants;
+      venueStats[venue].count++;
+      venueStats[venue].participants += order.participants;
+    }
+  };
+
+  // Null when no order was a group order
+  const result = () => {
+    if (!group.orders) return null;
+
+    return {
+      solo: { ...solo, avgOrderValue: ratio(solo.total, solo.orders) },
+      group: {
+        ...group,
+        percent: ratio(group.orders * 100, group.orders + solo.orders),
+        avgShare: ratio(group.share, group.orders),
+        avgBill: ratio(group.bill, group.orders),
+        sharePercent: ratio(group.share * 100, group.bill),
+        // Paid on top of our share, covering others as the host
+        coveredForOthers: group.paid - group.share,
+        avgParticipants: sizes.count ? sizes.participants / sizes.count : null,
+      },
+      venues: Object.entries(venueStats)
+        .sort((a, b) => b[1].orders - a[1].orders || b[1].bill - a[1].bill)
+        .slice(0, 10)
+        .map(([venue, stats]) => ({
+          venue,
+          orders: stats.orders,
+          share: stats.share,
+          bill: stats.bill,
+          avgParticipants: stats.count
+            ? stats.participants / stats.count
+            : null,
+        })),
+    };
+  };
+
+  return { add, result };
+};
+
+module.exports = {
+  AMOUNTS,
+  createGroupTotals,
+  selectAmount,
+};
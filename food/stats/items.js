@@ -0,0 +1,124 @@
+const { getOrderKey } = require("../providers/schema");
+const { UNCLASSIFIED, pickCategory } = require("./categories");
+const { getItemPriceBase, isDelivered } = require("./convert");
+const { getLocalParts, getLocalTime } = require("./time");
+
+/**
+ * Item aggregates for a set of converted orders, built one item at a time
+ * so that the items file can be streamed instead of loaded. Items of orders
+ * outside the set, or not delivered, are skipped. Items are grouped by
+ * `getName(item.name)`, e.g. a normalizer's canonical item name, and by
+ * category with a `classifier` (see createClassifier). Orders are keyed by
+ * service and order_id (see getOrderKey).
+ */
+function createItemSummary(
+  orders,
+  { getName = (name) => name, classifier = null } = {}
+) {
+  const ordersByKey = new Map(
+    orders.filter(isDelivered).map((order) => [getOrderKey(order), order])
+  );
+  // Local month per order, for category trends
+  const monthByOrder = new Map();
+  const getMonth = (order) => {
+    const key = getOrderKey(order);
+    if (!monthByOrder.has(key)) {
+      const localTime = getLocalTime(order);
+      monthByOrder.set(
+        key,
+        localTime ? getLocalParts(localTime).month : order.year_month
+      );
+    }
+    return monthByOrder.get(key);
+  };
+  // Item spend per category per order, for the orders' categories
+  const categoryTotalsByOrder = new Map();
+
+  const summary = {
+    // Item records (one per distinct item in an order)
+    count: 0,
+    // Quantity, base-currency total and spellings seen per item name
+    byName: {},
+    // Quantity of items per order key
+    countByOrder: {},
+    // Number of item prices per conversion status
+    statuses: {},
+    // Quantity, base-currency total and total per month per category
+    byCategory: {},
+    // Quantity, total and venues of items no rule classified, by name
+    unclassified: {},
+
+    add(item) {
+      const key = getOrderKey(item);
+      const order = ordersByKey.get(key);
+      if (!order) return;
+
+      const priceBase = getItemPriceBase(item, order);
+      const { status } = order.conversion;
+      const name = getName(item.name);
+      const stats = summary.byName[name] || {
+        count: 0,
+        total: 0,
+        variants: new Set(),
+      };
+      stats.count += item.count;
+      stats.total += priceBase * item.count;
+      stats.variants.add(item.name);
+      summary.byName[name] = stats;
+
+      summary.countByOrder[key] = (summary.countByOrder[key] || 0) + item.count;
+      summary.statuses[status] = (summary.statuses[status] || 0) + 1;
+      summary.count++;
+
+      if (classifier) addCategory(item, order, priceBase * item.count);
+    },
+
+    // Category of an order: the one most of its item spend went to, or its
+    // venue's for orders without classified items
+    getOrderCategory(order) {
+      return (
+        pickCategory(categoryTotalsByOrder.get(getOrderKey(order))) ??
+        classifier?.venue(order) ??
+        UNCLASSIFIED
+      );
+    },
+  };
+
+  const addCategory = (item, order, total) => {
+    const category = classifier.item(item.name, order);
+    const name = category ?? UNCLASSIFIED;
+    const stats = summary.byCategory[name] || {
+      count: 0,
+      total: 0,
+      byMonth: {},
+    };
+    const month = getMonth(order);
+    stats.count += item.count;
+    stats.total += total;
+    stats.byMonth[month] = (stats.byMonth[month] || 0) + total;
+    summary.byCategory[name] = stats;
+
+    if (category) {
+      const key = getOrderKey(order);
+      const totals = categoryTotalsByOrder.get(key) || {};
+      totals[category] = (totals[category] || 0) + total;
+      categoryTotalsByOrder.set(key, totals);
+      return;
+    }
+    const unclassified = summary.unclassified[item.name] || {
+      count: 0,
+      total: 0,
+      venues: new Set(),
+    };
+    unclassified.count += item.count;
+    unclassified.total += total;
+    unclassified.venues.add(order.brand ?? order.venue_name_fixed);
+    summary.unclassified[item.name] = unclassified;
+  };
+
+  return summary;
+}
+
+module.exports = {
+  createItemSummary,
+};
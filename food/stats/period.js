@@ -0,0 +1,222 @@
+const dayjs = require("dayjs");
+const { getLocalTime } = require("./time");
+
+// Units accepted by --last (default: months)
+const LAST_UNITS = { d: "day", w: "week", m: "month", y: "year" };
+
+// Parse a YYYY-MM-DD (or YYYY-MM) date option
+const parseDate = (value, option) => {
+  const pattern = value.length === 7 ? "YYYY-MM" : "YYYY-MM-DD";
+  // dayjs rolls invalid days over (2024-02-30 → March 1), so round-trip it
+  if (
+    !/^\d{4}-\d{2}(-\d{2})?$/.test(value) ||
+    dayjs(value).format(pattern) !== value
+  ) {
+    throw new Error(`${option} expects a date like 2024-01-31, got "${value}"`);
+  }
+  return dayjs(value);
+};
+
+// Periods carry their kind and the step back to the period before them
+// (`shift`), used for comparisons
+const yearPeriod = (value) => {
+  if (!/^\d{4}$/.test(value)) {
+    throw new Error(`--year expects a year like 2024, got "${value}"`);
+  }
+  const from = dayjs(`${value}-01-01`);
+  return {
+    from,
+    to: from.endOf("year"),
+    label: value,
+    kind: "year",
+    shift: [1, "year"],
+  };
+};
+
+const quarterPeriod = (value) => {
+  const match = /^(\d{4})-?Q([1-4])$/i.exec(value);
+  if (!match) {
+    throw new Error(`--quarter expects a quarter like 2024-Q1, got "${value}"`);
+  }
+  const from = dayjs(`${match[1]}-01-01`).add((match[2] - 1) * 3, "month");
+  return {
+    from,
+    to: from.add(2, "month").endOf("month"),
+    label: `${match[1]}-Q${match[2]}`,
+    kind: "quarter",
+    shift: [3, "month"],
+  };
+};
+
+const monthPeriod = (value) => {
+  const from = parseDate(value, "--month").startOf("month");
+  return {
+    from,
+    to: from.endOf("month"),
+    label: from.format("MMMM YYYY"),
+    kind: "month",
+    shift: [1, "month"],
+  };
+};
+
+const lastPeriod = (value) => {
+  const match = /^(\d+)([dwmy])?$/i.exec(value);
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(
+      `--last expects a length like 6 (months), 90d, 12w, 6m or 1y, got "${value}"`
+    );
+  }
+  const unit = LAST_UNITS[(match[2] || "m").toLowerCase()];
+  const to = dayjs().endOf("day");
+  return {
+    from: to.subtract(Number(match[1]), unit).add(1, "day").startOf("day"),
+    to,
+    label: `last ${match[1]} ${unit}${match[1] === "1" ? "" : "s"}`,
+    kind: "last",
+    shift: [Number(match[1]), unit],
+  };
+};
+
+const rangePeriod = (fromValue, toValue) => {
+  const from = fromValue ? parseDate(fromValue, "--from").startOf("day") : null;
+  const to = toValue ? parseDate(toValue, "--to").endOf("day") : null;
+  if (from && to && from.isAfter(to)) {
+    throw new Error("--from must not be later than --to");
+  }
+  return {
+    from,
+    to,
+    label: `${fromValue || "start"} to ${toValue || "today"}`,
+    kind: "range",
+    shift: from && to ? [to.diff(from, "day") + 1, "day"] : null,
+  };
+};
+
+/**
+ * Parse a period expression: a year (2024), quarter (2024-Q1), month
+ * (2024-05), relative length (90d, 6m, 1y) or date range
+ * (2024-01-01..2024-03-31)
+ */
+function parsePeriod(spec) {
+  if (/^\d{4}$/.test(spec)) return yearPeriod(spec);
+  if (/^\d{4}-?Q\d$/i.test(spec)) return quarterPeriod(spec);
+  if (/^\d{4}-\d{2}$/.test(spec)) return monthPeriod(spec);
+  if (/^\d+[dwmy]?$/i.test(spec)) return lastPeriod(spec);
+  if (spec.includes("..")) {
+    const [fromValue, toValue] = spec.split("..");
+    return rangePeriod(fromValue, toValue);
+  }
+  throw new Error(
+    `Unrecognized period "${spec}", expected e.g. 2024, 2024-Q1, 2024-05, 90d or 2024-01-01..2024-03-31`
+  );
+}
+
+/**
+ * Read the requested stats period from parsed command line options
+ * (year, quarter, month, last, from and to). Returns null when no period
+ * option is given; otherwise `from`/`to` are inclusive dayjs bounds (either
+ * may be null) with a human-readable label.
+ */
+function getPeriodFromOptions({ year, quarter, month, last, from, to }) {
+  const options = { year, quarter, month, last, range: from || to };
+  const selected = Object.keys(options).filter((key) => options[key]);
+
+  if (!selected.length) return null;
+  if (selected.length > 1) {
+    throw new Error(
+      "Use only one of --year, --quarter, --month, --last or --from/--to"
+    );
+  }
+
+  if (options.year) return yearPeriod(options.year);
+  if (options.quarter) return quarterPeriod(options.quarter);
+  if (options.month) return monthPeriod(options.month);
+  if (options.last) return lastPeriod(options.last);
+  return rangePeriod(from, to);
+}
+
+// Labels for the previous calendar period
+const PREVIOUS_LABELS = {
+  year: (from) => from.format("YYYY"),
+  quarter: (from) =>
+    `${from.format("YYYY")}-Q${Math.floor(from.month() / 3) + 1}`,
+  month: (from) => from.format("MMMM YYYY"),
+};
+
+/**
+ * The period of the same length right before the given one
+ * (the previous year, quarter or month for calendar periods)
+ */
+function getPreviousPeriod(period) {
+  if (!period.shift) {
+    throw new Error(
+      "Comparing with the previous period needs both --from and --to"
+    );
+  }
+  const [amount, unit] = period.shift;
+  const from = period.from.subtract(amount, unit);
+  const to = period.from.subtract(1, "millisecond");
+  const label =
+    PREVIOUS_LABELS[period.kind]?.(from) ??
+    `${from.format("YYYY-MM-DD")} to ${to.format("YYYY-MM-DD")}`;
+
+  return { from, to, label, kind: period.kind, shift: period.shift };
+}
+
+/**
+ * Read the period to compare against from the --compare option: either
+ * "previous" (the value when none is given) or any period expression.
+ * Returns null when comparison mode is off.
+ */
+function getComparisonPeriodFromOptions(period, { compare }) {
+  if (!compare) return null;
+  if (!period) {
+    throw new Error(
+      "--compare needs a period to compare, e.g. --year 2024 --compare"
+    );
+  }
+
+  if (compare === "previous") return getPreviousPeriod(period);
+  return parsePeriod(compare);
+}
+
+// Period bounds as local times, comparable with getLocalTime
+const LOCAL_TIME_FORMAT = "YYYY-MM-DDTHH:mm:ss";
+
+/**
+ * Keep only orders that fall within the period, by their venue's local
+ * time. Items follow their orders (see createItemSummary).
+ */
+function filterByPeriod(orders, period) {
+  if (!period) return orders;
+
+  const from = period.from?.format(LOCAL_TIME_FORMAT);
+  const to = period.to?.format(LOCAL_TIME_FORMAT);
+  return orders.filter((order) => {
+    const localTime = getLocalTime(order);
+    return (
+      localTime !== null &&
+      (!from || localTime >= from) &&
+      (!to || localTime <= to)
+    );
+  });
+}
+
+// JSON-friendly description of a period for the stats object
+const describePeriod = (period) =>
+  period
+    ? {
+        label: period.label,
+        from: period.from?.format("YYYY-MM-DD") ?? null,
+        to: period.to?.format("YYYY-MM-DD") ?? null,
+      }
+    : null;
+
+module.exports = {
+  describePeriod,
+  filterByPeriod,
+  getComparisonPeriodFromOptions,
+  getPeriodFromOptions,
+  getPreviousPeriod,
+  parsePeriod,
+};
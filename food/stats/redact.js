@@ -0,0 +1,284 @@
+const crypto = require("crypto");
+const { dataPath } = require("../../utils/paths");
+const { readJson } = require("../../utils/storage");
+const { invalidData } = require("../providers/schema");
+const { FEE_FIELDS } = require("./convert");
+
+// Redaction profile, relative to the data directory
+const REDACTION_FILE = "wolt/redaction.json";
+
+// What the profile can do with venue and item names
+const NAME_MODES = ["keep", "pseudonymize"];
+
+// Order amounts, all in the order's currency
+const AMOUNT_FIELDS = [
+  "total_price",
+  "bill_total",
+  "paid_price",
+  ...FEE_FIELDS,
+  "credits_used",
+  "refund_amount",
+];
+
+// Order fields naming its venue, brand (see normalizeOrders) or branch
+const VENUE_FIELDS = ["venue_name", "venue_name_fixed", "brand", "branch"];
+
+// Leftover identifiers listed in a failed check
+const MAX_LEAKS = 5;
+
+const isPositive = (value) => typeof value === "number" && value > 0;
+
+// Check the amount section: { scale: factor } or { bucket: size }, the
+// size either for every currency or per currency ({ "KZT": 1000 })
+const parseAmounts = (amounts, file) => {
+  if (amounts === undefined || amounts === "keep") return null;
+  const { scale, bucket } = amounts || {};
+  if (isPositive(scale) && bucket === undefined) return { scale };
+  if (isPositive(bucket) && scale === undefined) return { bucket };
+  if (
+    bucket &&
+    typeof bucket === "object" &&
+    !Array.isArray(bucket) &&
+    scale === undefined &&
+    Object.values(bucket).every(isPositive)
+  ) {
+    return { bucket };
+  }
+  throw new Error(
+    `amounts in ${file} must be "keep", { "scale": factor } or { "bucket": size or { currency: size } }`
+  );
+};
+
+/**
+ * Read the redaction profile: { salt, coordinates: decimals or "drop",
+ * venues: "keep" | "pseudonymize", items: "keep" | "pseudonymize",
+ * amounts: "keep" | { scale } | { bucket } }. Without a file, order ids
+ * are hashed with a random salt and coordinates rounded to 2 decimals.
+ */
+function loadRedactionProfile(file = dataPath(REDACTION_FILE)) {
+  const profile = readJson(file, {});
+  if (typeof profile !== "object" || Array.isArray(profile)) {
+    throw new Error(`${file} must contain an object with redaction settings`);
+  }
+  if (profile.salt !== undefined && typeof profile.salt !== "string") {
+    throw new Error(`salt in ${file} must be a string`);
+  }
+  const coordinates = profile.coordinates ?? 2;
+  if (
+    coordinates !== "drop" &&
+    !(Number.isInteger(coordinates) && coordinates >= 0 && coordinates <= 6)
+  ) {
+    throw new Error(
+      `coordinates in ${file} must be a number of decimals from 0 to 6, or "drop"`
+    );
+  }
+  for (const section of ["venues", "items"]) {
+    if (
+      profile[section] !== undefined &&
+      !NAME_MODES.includes(profile[section])
+    ) {
+      throw new Error(
+        `${section} in ${file} must be one of: ${NAME_MODES.join(", ")}`
+      );
+    }
+  }
+
+  return {
+    salt: profile.salt ?? null,
+    coordinates,
+    venues: profile.venues ?? "keep",
+    items: profile.items ?? "keep",
+    amounts: parseAmounts(profile.amounts, file),
+  };
+}
+
+/**
+ * What a profile does, as phrases for report headers
+ */
+const describeRedaction = (profile) =>
+  [
+    "order ids hashed",
+    profile.coordinates === "drop"
+      ? "coordinates dropped"
+      : `coordinates rounded to ${profile.coordinates} decimal${
+          profile.coordinates === 1 ? "" : "s"
+        }`,
+    profile.venues === "pseudonymize" && "venues pseudonymized",
+    profile.items === "pseudonymize" && "items pseudonymized",
+    profile.amounts?.scale && "amounts scaled",
+    profile.amounts?.bucket && "amounts bucketed",
+  ].filter(Boolean);
+
+// Number of decimals a number is written with
+const countDecimals = (value) => (String(value).split(".")[1] || "").length;
+
+/**
+ * Create a redactor for a profile. It redacts order and item records and
+ * remembers every raw identifier it replaced, so that redacted output can
+ * be checked for leftovers (see findLeaks). Hashes and pseudonyms are
+ * consistent within a run, and across runs with the profile's salt.
+ */
+function createRedactor(profile) {
+  const salt = profile.salt ?? crypto.randomBytes(16).toString("hex");
+  const ids = new Set();
+  const names = new Map();
+  const coordinates = new Set();
+
+  const hash = (value) =>
+    crypto.createHash("sha256").update(`${salt}:${value}`).digest("hex");
+
+  // Hashed order or item id
+  const hashId = (id) => {
+    if (id === null || id === undefined) return id;
+    ids.add(String(id));
+    return hash(`id:${id}`).slice(0, 16);
+  };
+
+  // Pseudonym for a venue or item name, remembered for later lookups.
+  // Names differing only in surrounding spaces share one.
+  const pseudonymize = (prefix, name) => {
+    if (typeof name !== "string") return name;
+    const trimmed = name.trim();
+    const pseudonym = `${prefix} ${hash(`${prefix}:${trimmed}`).slice(0, 8)}`;
+    names.set(name, pseudonym);
+    names.set(trimmed, pseudonym);
+    return pseudonym;
+  };
+  const venue = (name) =>
+    profile.venues === "pseudonymize" ? pseudonymize("Venue", name) : name;
+  const item = (name) =>
+    profile.items === "pseudonymize" ? pseudonymize("Item", name) : name;
+
+  const coordinate = (value) => {
+    if (value === null || value === undefined) return value;
+    if (profile.coordinates === "drop") {
+      // Values of 2 decimals or fewer are too coarse to tell apart from
+      // other numbers in the output
+      if (countDecimals(value) > 2) coordinates.add(value);
+      return null;
+    }
+    // Coarser values than the profile keeps reveal nothing more
+    if (countDecimals(value) > profile.coordinates) coordinates.add(value);
+    return Number(value.toFixed(profile.coordinates));
+  };
+
+  const amount = (value, currency) => {
+    const { amounts } = profile;
+    if (!amounts || typeof value !== "number") return value;
+    if (amounts.scale) return Math.round(value * amounts.scale * 100) / 100;
+
+    const size =
+      typeof amounts.bucket === "number"
+        ? amounts.bucket
+        : amounts.bucket[currency];
+    if (size === undefined) {
+      // Reported like invalid data: the run stops without a stack trace
+      throw invalidData(
+        `The redaction profile has no amount bucket for ${currency}, add one to redact these orders`
+      );
+    }
+    return Math.round(value / size) * size;
+  };
+
+  /**
+   * Copy of a value (e.g. computed stats) with every string that is a
+   * known venue or item name replaced by its pseudonym, keys included
+   */
+  const replaceNames = (value) => {
+    if (typeof value === "string") return names.get(value) ?? value;
+    if (Array.isArray(value)) return value.map(replaceNames);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, entry]) => [
+          names.get(key) ?? key,
+          replaceNames(entry),
+        ])
+      );
+    }
+    return value;
+  };
+
+  return {
+    venue,
+    item,
+
+    /**
+     * Redacted copy of an order. With `names` false, venue names are
+     * only remembered, for stats that still group by the real names and
+     * pseudonymize them afterwards (see replaceNames).
+     */
+    order(order, { names: replace = true } = {}) {
+      const redacted = {
+        ...order,
+        order_id: hashId(order.order_id),
+        latitude: coordinate(order.latitude),
+        longitude: coordinate(order.longitude),
+      };
+      for (const field of AMOUNT_FIELDS) {
+        if (field in order) {
+          redacted[field] = amount(order[field], order.currency);
+        }
+      }
+      for (const field of VENUE_FIELDS) {
+        if (!(field in order)) continue;
+        const pseudonym = venue(order[field]);
+        if (replace) redacted[field] = pseudonym;
+      }
+      return redacted;
+    },
+
+    /**
+     * Redacted copy of an item, like order()
+     */
+    item(record, { names: replace = true } = {}) {
+      const redacted = {
+        ...record,
+        order_id: hashId(record.order_id),
+        item_id: hashId(record.item_id),
+        price: amount(record.price, record.currency),
+      };
+      const venueName = venue(record.venue_name_fixed);
+      const itemName = item(record.name);
+      if (replace) {
+        redacted.venue_name_fixed = venueName;
+        redacted.name = itemName;
+      }
+      return redacted;
+    },
+
+    replaceNames,
+
+    /**
+     * Raw identifiers left in a value: order and item ids, pseudonymized
+     * names and precise coordinates, as found in strings, keys and numbers.
+     * Returns up to a few of them, none when the value is clean.
+     */
+    findLeaks(value) {
+      const leaks = new Set();
+      const visit = (entry) => {
+        if (leaks.size >= MAX_LEAKS) return;
+        if (typeof entry === "string") {
+          if (ids.has(entry) || names.has(entry)) leaks.add(entry);
+        } else if (typeof entry === "number") {
+          if (coordinates.has(entry)) leaks.add(String(entry));
+        } else if (Array.isArray(entry)) {
+          entry.forEach(visit);
+        } else if (entry && typeof entry === "object") {
+          for (const [key, child] of Object.entries(entry)) {
+            visit(key);
+            visit(child);
+          }
+        }
+      };
+      visit(value);
+      return [...leaks];
+    },
+  };
+}
+
+module.exports = {
+  REDACTION_FILE,
+  createRedactor,
+  describeRedaction,
+  loadRedactionProfile,
+};
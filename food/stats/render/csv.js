@@ -0,0 +1,292 @@
+// Quote a CSV field when it contains separators, quotes or line breaks
+const escapeField = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Round base-currency amounts to cents
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Table definitions: header row and a row builder per breakdown
+const TABLES = {
+  monthly: {
+    headers: [
+      "month",
+      "orders",
+      "items",
+      "total",
+      "avg_per_order",
+      "converted_orders",
+    ],
+    rows: (stats) =>
+      stats.monthly.map((month) => [
+        month.month,
+        month.count,
+        month.items,
+        round(month.total),
+        round(month.avgPerOrder),
+        month.converted,
+      ]),
+  },
+  services: {
+    headers: ["service", "orders", "total", "percent"],
+    rows: (stats) =>
+      stats.services.map((service) => [
+        service.service,
+        service.orders,
+        round(service.total),
+        round(service.percent),
+      ]),
+  },
+  groups: {
+    headers: ["orders_type", "orders", "share", "bill", "paid"],
+    rows: (stats) => {
+      if (!stats.groups) return [];
+      const { solo, group } = stats.groups;
+      return [
+        // A solo order is ours alone: share, bill and payment are the same
+        [
+          "solo",
+          solo.orders,
+          round(solo.total),
+          round(solo.total),
+          round(solo.total),
+        ],
+        [
+          "group",
+          group.orders,
+          round(group.share),
+          round(group.bill),
+          round(group.paid),
+        ],
+      ];
+    },
+  },
+  group_venues: {
+    headers: ["venue", "orders", "share", "bill", "avg_participants"],
+    rows: (stats) =>
+      (stats.groups?.venues || []).map((venue) => [
+        venue.venue,
+        venue.orders,
+        round(venue.share),
+        round(venue.bill),
+        venue.avgParticipants === null ? null : round(venue.avgParticipants),
+      ]),
+  },
+  venues: {
+    headers: ["venue", "orders", "total", "typical_hour"],
+    rows: (stats) =>
+      stats.venues.map((venue) => [
+        venue.venue,
+        venue.orders,
+        round(venue.total),
+        venue.typicalHour,
+      ]),
+  },
+  branches: {
+    headers: ["branch", "brand", "orders", "total"],
+    rows: (stats) =>
+      stats.branches.map((branch) => [
+        branch.branch,
+        branch.brand,
+        branch.orders,
+        round(branch.total),
+      ]),
+  },
+  categories: {
+    headers: ["category", "items", "orders", "total", "percent"],
+    rows: (stats) =>
+      stats.categories.map((category) => [
+        category.category,
+        category.items,
+        category.orders,
+        round(category.total),
+        round(category.percent),
+      ]),
+  },
+  category_months: {
+    headers: ["category", "month", "total"],
+    rows: (stats) =>
+      stats.categories.flatMap((category) =>
+        category.monthly.map((month) => [
+          category.category,
+          month.month,
+          round(month.total),
+        ])
+      ),
+  },
+  unclassified: {
+    headers: ["item", "count", "total", "venues"],
+    rows: (stats) =>
+      stats.unclassified.names.map((item) => [
+        item.name,
+        item.count,
+        round(item.total),
+        item.venues.join("; "),
+      ]),
+  },
+  budget: {
+    headers: [
+      "month",
+      "spent",
+      "projected",
+      "budget",
+      "percent",
+      "over",
+      "rolling_3",
+      "rolling_12",
+    ],
+    rows: (stats) =>
+      (stats.budget?.months || []).map((month) => [
+        month.month,
+        round(month.spent),
+        round(month.projected),
+        month.budget,
+        month.percent === null ? null : round(month.percent),
+        month.over,
+        round(month.rolling3),
+        round(month.rolling12),
+      ]),
+  },
+  items: {
+    headers: ["item", "count", "total"],
+    rows: (stats) =>
+      stats.items.map((item) => [item.name, item.count, round(item.total)]),
+  },
+  heatmap: {
+    headers: ["weekday", "hour", "orders"],
+    rows: (stats) =>
+      stats.time.heatmap.flatMap((row) =>
+        row.hours.map((orders, hour) => [row.day, hour, orders])
+      ),
+  },
+  meals: {
+    headers: ["meal", "from_hour", "to_hour", "orders", "total", "percent"],
+    rows: (stats) =>
+      stats.time.meals.map((meal) => [
+        meal.meal,
+        meal.from,
+        meal.to,
+        meal.orders,
+        round(meal.total),
+        round(meal.percent),
+      ]),
+  },
+  areas: {
+    headers: ["area", "home", "venues", "orders", "total", "percent"],
+    rows: (stats) =>
+      (stats.geo?.areas || []).map((area) => [
+        area.area,
+        area.home,
+        area.venues,
+        area.orders,
+        round(area.total),
+        round(area.percent),
+      ]),
+  },
+  locations: {
+    headers: [
+      "branch",
+      "brand",
+      "area",
+      "latitude",
+      "longitude",
+      "orders",
+      "total",
+      "distance_km",
+    ],
+    rows: (stats) =>
+      (stats.geo?.venues || []).map((venue) => [
+        venue.branch,
+        venue.brand,
+        venue.area,
+        venue.latitude,
+        venue.longitude,
+        venue.orders,
+        round(venue.total),
+        venue.distanceKm === null ? null : round(venue.distanceKm),
+      ]),
+  },
+};
+
+// Comparison rows for a ranking: every top, new, dropped and rising entry
+const rankingRows = (ranking) =>
+  ["top", "new", "dropped", "rising"].flatMap((group) =>
+    (ranking[group] || []).map((entry) => [
+      group,
+      entry.name,
+      entry.current,
+      entry.previous,
+      entry.delta,
+    ])
+  );
+
+// Table definitions for period comparisons
+const COMPARISON_TABLES = {
+  summary: {
+    headers: ["metric", "current", "previous", "delta", "percent"],
+    rows: (comparison) =>
+      comparison.metrics.map((metric) => [
+        metric.key,
+        round(metric.current),
+        round(metric.previous),
+        round(metric.delta),
+        metric.percent === null ? "" : round(metric.percent),
+      ]),
+  },
+  venues: {
+    headers: ["group", "venue", "current_orders", "previous_orders", "delta"],
+    rows: (comparison) => rankingRows(comparison.venues),
+  },
+  items: {
+    headers: ["group", "item", "current_count", "previous_count", "delta"],
+    rows: (comparison) => rankingRows(comparison.items),
+  },
+};
+
+// Render rows of a table definition as CSV text
+const toCsv = (definition, data) =>
+  [definition.headers, ...definition.rows(data)]
+    .map((row) => row.map(escapeField).join(","))
+    .join("\n") + "\n";
+
+/**
+ * Render one breakdown table (see TABLES) as CSV.
+ * Amounts are in the base currency.
+ */
+function renderCsv(stats, { table = "monthly" } = {}) {
+  const definition = TABLES[table];
+  if (!definition) {
+    throw new Error(
+      `Unknown CSV table "${table}", expected one of: ${Object.keys(
+        TABLES
+      ).join(", ")}`
+    );
+  }
+
+  return toCsv(definition, stats);
+}
+
+/**
+ * Render one period comparison table (summary, venues or items) as CSV
+ */
+function renderComparisonCsv(comparison, { table = "summary" } = {}) {
+  const definition = COMPARISON_TABLES[table];
+  if (!definition) {
+    throw new Error(
+      `Unknown CSV table "${table}", expected one of: ${Object.keys(
+        COMPARISON_TABLES
+      ).join(", ")}`
+    );
+  }
+
+  return toCsv(definition, comparison);
+}
+
+module.exports = {
+  COMPARISON_CSV_TABLES: Object.keys(COMPARISON_TABLES),
+  CSV_TABLES: Object.keys(TABLES),
+  renderComparisonCsv,
+  renderCsv,
+};
@@ -0,0 +1,47 @@
+const { formatCurrency } = require("../../../utils/currency");
+
+// Format a metric value by its type (currency, count or number)
+const formatMetric = (value, type) => {
+  if (type === "currency") return formatCurrency(value);
+  if (type === "count") return String(value);
+  return value.toFixed(1);
+};
+
+// Format a signed difference, e.g. "+KZT 1,200" or "-3"
+const formatDelta = (value, type) =>
+  (value > 0 ? "+" : value < 0 ? "-" : "±") +
+  formatMetric(Math.abs(value), type);
+
+// Format a percentage change, or "new" when there is no baseline
+const formatPercent = (percent) =>
+  percent === null ? "new" : `${percent > 0 ? "+" : ""}${percent.toFixed(1)}%`;
+
+// Format total spending, with how many orders it covers when some had no
+// exchange rate, e.g. "KZT 286,200 (54 of 60 orders converted)"
+const formatSpent = (totals) =>
+  formatCurrency(totals.spent) +
+  (totals.convertedOrders < totals.orders
+    ? ` (${totals.convertedOrders} of ${totals.orders} orders converted)`
+    : "");
+
+// Format an hour of the day as "HH:00"
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+// Format an hour range, e.g. "22:00-05:00"
+const formatHours = (from, to) => `${formatHour(from)}-${formatHour(to % 24)}`;
+
+// Name of the delivery services in report titles: the service's own for a
+// single one, e.g. "Wolt"
+const formatServices = (...serviceLists) => {
+  const labels = new Set(serviceLists.flat().map((service) => service.label));
+  return labels.size === 1 ? [...labels][0] : "Food Delivery";
+};
+
+module.exports = {
+  formatDelta,
+  formatHours,
+  formatMetric,
+  formatPercent,
+  formatServices,
+  formatSpent,
+};
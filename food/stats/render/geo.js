@@ -0,0 +1,91 @@
+const { formatServices } = require("./format");
+
+// Round base-currency amounts to cents
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Escape text for XML content and attributes
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Properties exported for each venue
+const venueProperties = (venue, stats) => ({
+  name: venue.branch,
+  brand: venue.brand,
+  area: venue.area,
+  orders: venue.orders,
+  total: round(venue.total),
+  currency: stats.baseCurrency,
+  distance_km: venue.distanceKm === null ? null : round(venue.distanceKm),
+});
+
+const venuesOf = (stats) => stats.geo?.venues || [];
+
+/**
+ * Render the venues ordered from as a GeoJSON FeatureCollection of points,
+ * with order count and spend per venue as properties
+ */
+function renderGeoJson(stats) {
+  const collection = {
+    type: "FeatureCollection",
+    features: venuesOf(stats).map((venue) => ({
+      type: "Feature",
+      geometry: {
+        type: "Point",
+        coordinates: [venue.longitude, venue.latitude],
+      },
+      properties: venueProperties(venue, stats),
+    })),
+  };
+  return JSON.stringify(collection, null, 2) + "\n";
+}
+
+/**
+ * Render the venues ordered from as KML placemarks, for Google Earth and
+ * other map apps
+ */
+function renderKml(stats) {
+  const placemarks = venuesOf(stats).map((venue) => {
+    const properties = venueProperties(venue, stats);
+    const data = Object.entries(properties)
+      .filter(([key, value]) => key !== "name" && value !== null)
+      .map(
+        ([key, value]) =>
+          `        <Data name="${key}"><value>${escapeXml(
+            value
+          )}</value></Data>`
+      );
+    return [
+      "    <Placemark>",
+      `      <name>${escapeXml(venue.branch)}</name>`,
+      `      <description>${escapeXml(
+        `${properties.orders} orders, ${properties.total} ${properties.currency}`
+      )}</description>`,
+      "      <ExtendedData>",
+      ...data,
+      "      </ExtendedData>",
+      `      <Point><coordinates>${venue.longitude},${venue.latitude}</coordinates></Point>`,
+      "    </Placemark>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(formatServices(stats.services))} venues</name>`,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  renderGeoJson,
+  renderKml,
+};
@@ -0,0 +1,392 @@
+const dayjs = require("dayjs");
+const { formatCurrency } = require("../../../utils/currency");
+const { formatHours, formatServices, formatSpent } = require("./format");
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape text for element contents and attribute values
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+const formatDate = (date) => dayjs(date).format("MMMM D, YYYY");
+
+const HOURS = [...Array(24).keys()];
+
+// Everything inline, so that the file works offline and on its own
+const STYLE = `
+  :root { --accent: #2563eb; --muted: #6b7280; --line: #e5e7eb; --bg: #fff; --fg: #111827; --card: #f9fafb; }
+  @media (prefers-color-scheme: dark) {
+    :root { --accent: #60a5fa; --muted: #9ca3af; --line: #374151; --bg: #111827; --fg: #f3f4f6; --card: #1f2937; }
+  }
+  * { box-sizing: border-box; }
+  body { margin: 0 auto; max-width: 1100px; padding: 24px; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; background: var(--bg); color: var(--fg); }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 40px; border-bottom: 1px solid var(--line); padding-bottom: 6px; }
+  .note { color: var(--muted); margin: 4px 0; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 12px; margin-top: 20px; }
+  .card { background: var(--card); border: 1px solid var(--line); border-radius: 8px; padding: 12px; }
+  .card .label { color: var(--muted); font-size: 12px; text-transform: uppercase; letter-spacing: 0.04em; }
+  .card .value { font-size: 20px; font-weight: 600; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 24px; }
+  svg.chart { width: 100%; height: auto; }
+  svg.chart .bar { fill: var(--accent); }
+  svg.chart .bar:hover { opacity: 0.7; }
+  svg.chart text { fill: var(--muted); font-size: 11px; }
+  svg.chart line { stroke: var(--line); }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid var(--line); text-align: left; }
+  td.number, th.number { text-align: right; font-variant-numeric: tabular-nums; }
+  th button { all: unset; cursor: pointer; font-weight: 600; }
+  th[aria-sort="ascending"] button::after { content: " ▲"; }
+  th[aria-sort="descending"] button::after { content: " ▼"; }
+  input[type="search"] { width: 100%; max-width: 320px; padding: 6px 8px; border: 1px solid var(--line); border-radius: 6px; background: var(--bg); color: var(--fg); }
+  .heatmap td, .heatmap th { padding: 4px 0; text-align: center; border: 1px solid var(--bg); font-size: 11px; }
+  .heatmap td { min-width: 26px; }
+  .heatmap th:first-child { text-align: left; padding-right: 8px; }
+  .share { display: inline-block; height: 8px; background: var(--accent); border-radius: 4px; vertical-align: middle; margin-right: 6px; }
+`;
+
+// Sorting by column and searching the tables marked as data tables
+const SCRIPT = `
+  document.querySelectorAll("table.data").forEach(function (table) {
+    var body = table.tBodies[0];
+    table.querySelectorAll("th").forEach(function (header, column) {
+      header.querySelector("button").addEventListener("click", function () {
+        var ascending = header.getAttribute("aria-sort") !== "ascending";
+        var numeric = header.classList.contains("number");
+        table.querySelectorAll("th").forEach(function (other) {
+          other.removeAttribute("aria-sort");
+        });
+        header.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+        var rows = Array.prototype.slice.call(body.rows);
+        rows.sort(function (a, b) {
+          var x = a.cells[column].getAttribute("data-value");
+          var y = b.cells[column].getAttribute("data-value");
+          var order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+          return ascending ? order : -order;
+        });
+        rows.forEach(function (row) { body.appendChild(row); });
+      });
+    });
+  });
+  document.querySelectorAll("input[data-table]").forEach(function (input) {
+    var table = document.getElementById(input.getAttribute("data-table"));
+    input.addEventListener("input", function () {
+      var query = input.value.trim().toLowerCase();
+      Array.prototype.forEach.call(table.tBodies[0].rows, function (row) {
+        row.hidden = query !== "" && row.textContent.toLowerCase().indexOf(query) === -1;
+      });
+    });
+  });
+`;
+
+// A table cell: { text, value } with the value to sort by, or plain text
+const cell = (text, value = text) => ({ text, value });
+
+/**
+ * Sortable table with a search box. `columns` are { label, number }, rows
+ * are arrays of cells (see cell) in column order.
+ */
+const dataTable = (id, columns, rows) => `
+<input type="search" data-table="${id}" placeholder="Search..." aria-label="Search">
+<table class="data" id="${id}">
+  <thead><tr>${columns
+    .map(
+      (column) =>
+        `<th${column.number ? ' class="number"' : ""}><button>${escapeHtml(
+          column.label
+        )}</button></th>`
+    )
+    .join("")}</tr></thead>
+  <tbody>
+${rows
+  .map(
+    (row) =>
+      `    <tr>${row
+        .map(
+          (entry, index) =>
+            `<td${
+              columns[index].number ? ' class="number"' : ""
+            } data-value="${escapeHtml(entry.value ?? "")}">${
+              entry.html ?? escapeHtml(entry.text)
+            }</td>`
+        )
+        .join("")}</tr>`
+  )
+  .join("\n")}
+  </tbody>
+</table>`;
+
+/**
+ * SVG bar chart of { label, value } points, with a tooltip per bar
+ */
+const barChart = (title, points, format) => {
+  const width = 520;
+  const height = 220;
+  const left = 8;
+  const bottom = 24;
+  const top = 20;
+  const max = Math.max(...points.map((point) => point.value), 0) || 1;
+  const step = (width - left) / Math.max(points.length, 1);
+  // Label every month for short periods, fewer for long ones
+  const labelEvery = Math.ceil(points.length / 12);
+
+  const bars = points.map((point, index) => {
+    const barHeight = ((height - top - bottom) * point.value) / max;
+    const x = left + index * step;
+    const label =
+      index % labelEvery === 0
+        ? `<text x="${(x + step / 2).toFixed(1)}" y="${
+            height - 8
+          }" text-anchor="middle">${escapeHtml(point.label)}</text>`
+        : "";
+    return `<rect class="bar" x="${(x + step * 0.1).toFixed(1)}" y="${(
+      height -
+      bottom -
+      barHeight
+    ).toFixed(1)}" width="${(step * 0.8).toFixed(
+      1
+    )}" height="${barHeight.toFixed(1)}"><title>${escapeHtml(
+      `${point.label}: ${format(point.value)}`
+    )}</title></rect>${label}`;
+  });
+
+  return `<figure>
+  <figcaption><strong>${escapeHtml(title)}</strong></figcaption>
+  <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(
+    title
+  )}">
+    <line x1="${left}" y1="${top}" x2="${width}" y2="${top}"></line>
+    <text x="${left}" y="${top - 6}">${escapeHtml(format(max))}</text>
+    <line x1="${left}" y1="${height - bottom}" x2="${width}" y2="${
+    height - bottom
+  }"></line>
+    ${bars.join("\n    ")}
+  </svg>
+</figure>`;
+};
+
+// Orders by weekday and hour, shaded by count
+const heatmap = (rows) => {
+  const max = Math.max(...rows.flatMap((row) => row.hours), 0) || 1;
+  return `<table class="heatmap">
+  <thead><tr><th></th>${HOURS.map(
+    (hour) => `<th>${String(hour).padStart(2, "0")}</th>`
+  ).join("")}</tr></thead>
+  <tbody>
+${rows
+  .map(
+    (row) =>
+      `    <tr><th>${escapeHtml(row.day.slice(0, 3))}</th>${row.hours
+        .map(
+          (count, hour) =>
+            `<td style="background: rgba(37, 99, 235, ${(count / max).toFixed(
+              2
+            )})" title="${escapeHtml(
+              `${row.day} ${formatHours(hour, hour + 1)}: ${count} orders`
+            )}">${count || ""}</td>`
+        )
+        .join("")}</tr>`
+  )
+  .join("\n")}
+  </tbody>
+</table>`;
+};
+
+// Share of a total as a bar and a percentage
+const shareHtml = (percent) =>
+  `<span class="share" style="width: ${Math.max(percent, 1).toFixed(
+    0
+  )}px"></span>${percent.toFixed(1)}%`;
+
+/**
+ * Render stats as a single HTML page with inline styles and scripts and no
+ * external resources, so that it can be opened offline or shared as is
+ */
+function renderHtml(stats) {
+  const { totals, time } = stats;
+  const title = `${formatServices(stats.services)} Order Statistics`;
+  const sections = [];
+
+  const notes = [
+    `${formatDate(stats.period.start)} - ${formatDate(
+      stats.period.end
+    )} (amounts in ${stats.baseCurrency}${
+      stats.amount === "paid" ? ", group orders at what we paid" : ""
+    })`,
+    stats.redaction && `Redacted: ${stats.redaction.join(", ")}`,
+  ].filter(Boolean);
+
+  const cards = [
+    ["Total Orders", totals.orders],
+    ["Total Items", totals.items],
+    ["Total Spent", formatSpent(totals)],
+    ["Average Order Value", formatCurrency(totals.avgOrderValue)],
+    ["Orders per Month", totals.avgOrdersPerMonth.toFixed(1)],
+    [
+      "Most Active Month",
+      `${time.mostActiveMonth.month} (${time.mostActiveMonth.orders})`,
+    ],
+  ];
+  sections.push(`<div class="cards">
+${cards
+  .map(
+    ([label, value]) =>
+      `  <div class="card"><div class="label">${escapeHtml(
+        label
+      )}</div><div class="value">${escapeHtml(value)}</div></div>`
+  )
+  .join("\n")}
+</div>`);
+
+  sections.push(`<h2>Monthly Spending</h2>
+<div class="charts">
+${barChart(
+  "Spent per month",
+  stats.monthly.map((month) => ({ label: month.month, value: month.total })),
+  (value) => formatCurrency(value)
+)}
+${barChart(
+  "Orders per month",
+  stats.monthly.map((month) => ({ label: month.month, value: month.count })),
+  (value) => `${Math.round(value)} orders`
+)}
+</div>`);
+
+  sections.push(`<h2>Orders by Hour and Weekday</h2>
+<p class="note">Times are in each venue's local time.</p>
+${heatmap(time.heatmap)}`);
+
+  sections.push(`<h2>Top Places</h2>
+${dataTable(
+  "venues",
+  [
+    { label: "Place" },
+    { label: "Orders", number: true },
+    { label: "Spent", number: true },
+    { label: "Typical Hour", number: true },
+  ],
+  stats.venues.map((venue) => [
+    cell(
+      venue.branches > 1
+        ? `${venue.venue} (${venue.branches} branches)`
+        : venue.venue,
+      venue.venue
+    ),
+    cell(venue.orders),
+    cell(formatCurrency(venue.total), venue.total),
+    venue.typicalHour === null
+      ? cell("", -1)
+      : cell(
+          formatHours(venue.typicalHour, venue.typicalHour + 1),
+          venue.typicalHour
+        ),
+  ])
+)}`);
+
+  sections.push(`<h2>Top Items</h2>
+${dataTable(
+  "items",
+  [
+    { label: "Item" },
+    { label: "Times Ordered", number: true },
+    { label: "Spent", number: true },
+  ],
+  stats.items.map((item) => [
+    cell(
+      item.variants.length > 1
+        ? `${item.name} (${item.variants.length} variants)`
+        : item.name,
+      item.name
+    ),
+    cell(item.count),
+    cell(formatCurrency(item.total), item.total),
+  ])
+)}`);
+
+  const totalBase = stats.currencies.reduce(
+    (sum, currency) => sum + currency.totalBase,
+    0
+  );
+  sections.push(`<h2>Currency Distribution</h2>
+${dataTable(
+  "currencies",
+  [
+    { label: "Currency" },
+    { label: "Orders", number: true },
+    { label: "Total", number: true },
+    { label: `Total (${stats.baseCurrency})`, number: true },
+    { label: "Share", number: true },
+  ],
+  stats.currencies.map((currency) => {
+    const percent = totalBase ? (currency.totalBase / totalBase) * 100 : 0;
+    return [
+      cell(currency.currency),
+      cell(currency.orders),
+      cell(formatCurrency(currency.total, currency.currency), currency.total),
+      cell(formatCurrency(currency.totalBase), currency.totalBase),
+      { html: shareHtml(percent), value: percent },
+    ];
+  })
+)}`);
+
+  // Venues by area instead of on a map, which would need map tiles
+  if (stats.geo?.venues.length) {
+    const withDistance = stats.geo.venues.some(
+      (venue) => venue.distanceKm !== null
+    );
+    sections.push(`<h2>Venues by Area</h2>
+${dataTable(
+  "places",
+  [
+    { label: "Branch" },
+    { label: "Brand" },
+    { label: "Area" },
+    { label: "Orders", number: true },
+    { label: "Spent", number: true },
+    ...(withDistance ? [{ label: "Distance", number: true }] : []),
+  ],
+  stats.geo.venues.map((venue) => [
+    cell(venue.branch),
+    cell(venue.brand),
+    cell(venue.area ?? ""),
+    cell(venue.orders),
+    cell(formatCurrency(venue.total), venue.total),
+    ...(withDistance
+      ? [
+          venue.distanceKm === null
+            ? cell("", -1)
+            : cell(`${venue.distanceKm.toFixed(1)} km`, venue.distanceKm),
+        ]
+      : []),
+  ])
+)}`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${notes.map((note) => `<p class="note">${escapeHtml(note)}</p>`).join("\n")}
+${sections.join("\n\n")}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderHtml,
+};
@@ -0,0 +1,61 @@
+const { renderComparisonCsv, renderCsv } = require("./csv");
+const { renderGeoJson, renderKml } = require("./geo");
+const { renderHtml } = require("./html");
+const { renderComparisonMarkdown, renderMarkdown } = require("./markdown");
+const { renderComparisonTerminal, renderTerminal } = require("./terminal");
+
+const renderJson = (data) => JSON.stringify(data, null, 2) + "\n";
+
+// Output formats selectable with --format
+const renderers = {
+  terminal: renderTerminal,
+  json: renderJson,
+  markdown: renderMarkdown,
+  csv: renderCsv,
+  geojson: renderGeoJson,
+  kml: renderKml,
+  html: renderHtml,
+};
+
+// The same formats for period comparisons, except the map exports and the
+// HTML dashboard
+const comparisonRenderers = {
+  terminal: renderComparisonTerminal,
+  json: renderJson,
+  markdown: renderComparisonMarkdown,
+  csv: renderComparisonCsv,
+};
+
+// Look up a renderer, failing on unknown formats
+const getRenderer = (registry, format) => {
+  const renderer = registry[format];
+  if (!renderer) {
+    throw new Error(
+      `Unknown format "${format}", expected one of: ${Object.keys(
+        registry
+      ).join(", ")}`
+    );
+  }
+  return renderer;
+};
+
+/**
+ * Render stats in the given format
+ */
+function render(stats, format = "terminal", options = {}) {
+  return getRenderer(renderers, format)(stats, options);
+}
+
+/**
+ * Render a period comparison in the given format
+ */
+function renderComparison(comparison, format = "terminal", options = {}) {
+  return getRenderer(comparisonRenderers, format)(comparison, options);
+}
+
+module.exports = {
+  COMPARISON_FORMATS: Object.keys(comparisonRenderers),
+  FORMATS: Object.keys(renderers),
+  render,
+  renderComparison,
+};
@@ -0,0 +1,530 @@
+const dayjs = require("dayjs");
+const { formatCurrency } = require("../../../utils/currency");
+const {
+  formatDelta,
+  formatHours,
+  formatMetric,
+  formatPercent,
+  formatServices,
+  formatSpent,
+} = require("./format");
+
+// Escape characters that would break a Markdown table cell
+const escapeCell = (value) => String(value).replace(/\|/g, "\\|");
+
+// Build a Markdown table from a header row and data rows
+const table = (headers, rows) =>
+  [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(escapeCell).join(" | ")} |`),
+  ].join("\n");
+
+const formatDate = (date) => dayjs(date).format("MMMM D, YYYY");
+
+const HOURS = [...Array(24).keys()];
+
+/**
+ * Render stats as a Markdown document
+ */
+function renderMarkdown(stats) {
+  const { totals, time, spending, fees, outcomes, funFacts } = stats;
+  const sections = [];
+
+  sections.push(
+    `# ${formatServices(stats.services)} Order Statistics\n\n${formatDate(
+      stats.period.start
+    )} - ${formatDate(stats.period.end)} (amounts in ${stats.baseCurrency}${
+      stats.amount === "paid" ? ", group orders at what we paid" : ""
+    })${stats.redaction ? `\n\nRedacted: ${stats.redaction.join(", ")}` : ""}`
+  );
+
+  sections.push(
+    "## Basic Order Statistics\n\n" +
+      table(
+        ["Metric", "Value"],
+        [
+          ["Total Orders", totals.orders],
+          ["Total Items", totals.items],
+          ["Total Spent", formatSpent(totals)],
+          ["Average Items per Order", totals.avgItemsPerOrder.toFixed(1)],
+          ["Average Order Value", formatCurrency(totals.avgOrderValue)],
+          ["Average Orders per Month", totals.avgOrdersPerMonth.toFixed(1)],
+          [
+            "Most Active Month",
+            `${time.mostActiveMonth.month} (${time.mostActiveMonth.orders} orders)`,
+          ],
+          [
+            "Most Active Day",
+            `${time.mostActiveDay.day} (${time.mostActiveDay.orders} orders)`,
+          ],
+        ]
+      )
+  );
+
+  if (stats.services.length > 1) {
+    sections.push(
+      "## Delivery Services\n\n" +
+        table(
+          ["Service", "Orders", "Spent", "Share", "Average Order"],
+          stats.services.map((service) => [
+            service.label,
+            service.orders,
+            formatCurrency(service.total),
+            `${service.percent.toFixed(1)}%`,
+            formatCurrency(service.avgOrderValue),
+          ])
+        )
+    );
+  }
+
+  sections.push(
+    "## Time of Day\n\nTimes are in each venue's local time.\n\n" +
+      table(
+        ["Meal", "Hours", "Orders", "Spent", "Share"],
+        time.meals.map((meal) => [
+          meal.meal,
+          formatHours(meal.from, meal.to),
+          meal.orders,
+          formatCurrency(meal.total),
+          `${meal.percent.toFixed(1)}%`,
+        ])
+      ) +
+      "\n\n### Orders by Hour and Weekday\n\n" +
+      table(
+        ["Day", ...HOURS.map((hour) => String(hour).padStart(2, "0"))],
+        time.heatmap.map((row) => [
+          row.day.slice(0, 3),
+          ...row.hours.map((count) => count || ""),
+        ])
+      )
+  );
+
+  sections.push(
+    "## Top Places\n\n" +
+      table(
+        ["#", "Place", "Orders", "Spent", "Typical Hour"],
+        stats.venues
+          .slice(0, 10)
+          .map((venue, index) => [
+            index + 1,
+            venue.branches > 1
+              ? `${venue.venue} (${venue.branches} branches)`
+              : venue.venue,
+            venue.orders,
+            formatCurrency(venue.total),
+            venue.typicalHour === null
+              ? ""
+              : formatHours(venue.typicalHour, venue.typicalHour + 1),
+          ])
+      )
+  );
+
+  // Branches only differ from brands for chains
+  if (stats.branches.length > stats.venues.length) {
+    sections.push(
+      "## Top Branches\n\n" +
+        table(
+          ["#", "Branch", "Brand", "Orders", "Spent"],
+          stats.branches
+            .slice(0, 10)
+            .map((branch, index) => [
+              index + 1,
+              branch.branch,
+              branch.brand,
+              branch.orders,
+              formatCurrency(branch.total),
+            ])
+        )
+    );
+  }
+
+  sections.push(
+    "## Top Items\n\n" +
+      table(
+        ["#", "Item", "Times Ordered", "Spent"],
+        stats.items
+          .slice(0, 10)
+          .map((item, index) => [
+            index + 1,
+            item.variants.length > 1
+              ? `${item.name} (${item.variants.length} variants)`
+              : item.name,
+            item.count,
+            formatCurrency(item.total),
+          ])
+      )
+  );
+
+  if (stats.categories.length) {
+    const { unclassified } = stats;
+    sections.push(
+      "## Categories\n\n" +
+        table(
+          ["Category", "Spent", "Share", "Items", "Orders", "Month over Month"],
+          stats.categories.map((category) => [
+            category.category,
+            formatCurrency(category.total),
+            `${category.percent.toFixed(1)}%`,
+            category.items,
+            category.orders,
+            category.trend.previous || category.trend.total
+              ? `${category.trend.month}: ${formatPercent(
+                  category.trend.percent
+                )} vs ${category.trend.previousMonth}`
+              : "",
+          ])
+        ) +
+        (unclassified.items
+          ? `\n\n### Unclassified Items\n\n${
+              unclassified.items
+            } items (${formatCurrency(
+              unclassified.total
+            )}) matched no category rule.\n\n` +
+            table(
+              ["Item", "Times Ordered", "Spent", "Places"],
+              unclassified.names
+                .slice(0, 20)
+                .map((item) => [
+                  item.name,
+                  item.count,
+                  formatCurrency(item.total),
+                  item.venues.join(", "),
+                ])
+            )
+          : "")
+    );
+  }
+
+  sections.push(
+    "## Monthly Spending\n\n" +
+      table(
+        ["Month", "Orders", "Items", "Spent", "Average per Order"],
+        stats.monthly.map((month) => [
+          month.month,
+          month.count,
+          month.items,
+          formatCurrency(month.total),
+          formatCurrency(month.avgPerOrder),
+        ])
+      ) +
+      `\n\nTop spending month: **${spending.topMonth.month}** (${formatCurrency(
+        spending.topMonth.total
+      )}), lowest: **${spending.lowestMonth.month}** (${formatCurrency(
+        spending.lowestMonth.total
+      )}). Monthly average: ${formatCurrency(spending.averages.spending)}.`
+  );
+
+  if (stats.budget) {
+    const { current, months, streaks, rolling } = stats.budget;
+    const lines = [];
+    if (current?.budget) {
+      lines.push(
+        `This month (${current.month}): ${formatCurrency(
+          current.spent
+        )} spent, projected ${formatCurrency(
+          current.projected
+        )} of ${formatCurrency(current.budget)}${
+          current.projectedOver ? " — **on pace to go over**" : ""
+        }.`
+      );
+    }
+    if (stats.budget.monthly) {
+      lines.push(
+        table(
+          [
+            "Month",
+            "Spent",
+            "Projected",
+            "Budget",
+            "Used",
+            "3-Month Avg",
+            "12-Month Avg",
+          ],
+          [...months]
+            .reverse()
+            .map((month) => [
+              month.over ? `**${month.month}**` : month.month,
+              formatCurrency(month.spent),
+              formatCurrency(month.projected),
+              formatCurrency(month.budget),
+              `${month.percent.toFixed(0)}%`,
+              formatCurrency(month.rolling3),
+              formatCurrency(month.rolling12),
+            ])
+        ),
+        `Months over budget in a row: ${streaks.current}${
+          streaks.longest
+            ? ` (longest: ${streaks.longest.length}, ${streaks.longest.from} to ${streaks.longest.to})`
+            : ""
+        }.`
+      );
+    } else {
+      lines.push(
+        `Rolling averages: ${formatCurrency(
+          rolling[3]
+        )} (3 months), ${formatCurrency(rolling[12])} (12 months).`
+      );
+    }
+    [
+      ["Place", stats.budget.venues],
+      ["Category", stats.budget.categories],
+    ]
+      .filter(([, groups]) => groups.length)
+      .forEach(([kind, groups]) => {
+        lines.push(
+          `### ${kind} Budgets (${groups[0].month})\n\n` +
+            table(
+              [kind, "Spent", "Projected", "Budget", "Months Over"],
+              groups.map((group) => [
+                group.over ? `**${group.name}**` : group.name,
+                formatCurrency(group.spent),
+                formatCurrency(group.projected),
+                formatCurrency(group.budget),
+                group.monthsOver,
+              ])
+            )
+        );
+      });
+    sections.push("## Budget\n\n" + lines.join("\n\n"));
+  }
+
+  if (fees) {
+    sections.push(
+      "## Fees & Savings\n\n" +
+        table(
+          ["Component", "Amount"],
+          [
+            ["Food (subtotal)", formatCurrency(fees.subtotal)],
+            ["Delivery Fees", formatCurrency(fees.deliveryFee)],
+            ["Service Fees", formatCurrency(fees.serviceFee)],
+            ["Small Order Surcharges", formatCurrency(fees.smallOrderFee)],
+            [
+              "Total Fees",
+              `${formatCurrency(fees.totalFees)} (${fees.feesPercent.toFixed(
+                1
+              )}% of spend)`,
+            ],
+            ["Tips", formatCurrency(fees.tips)],
+            ["Discounts", formatCurrency(fees.discounts)],
+            ["Subscription Savings", formatCurrency(fees.subscriptionSavings)],
+          ]
+        )
+    );
+  }
+
+  if (stats.groups) {
+    const { solo, group, venues } = stats.groups;
+    sections.push(
+      "## Group Orders\n\n" +
+        table(
+          ["Orders", "Count", "Our Share", "Full Bill", "Paid"],
+          [
+            [
+              "Group",
+              group.orders,
+              formatCurrency(group.share),
+              formatCurrency(group.bill),
+              formatCurrency(group.paid),
+            ],
+            [
+              "Solo",
+              solo.orders,
+              formatCurrency(solo.total),
+              formatCurrency(solo.total),
+              formatCurrency(solo.total),
+            ],
+          ]
+        ) +
+        `\n\nGroup orders are ${group.percent.toFixed(
+          1
+        )}% of orders; our share is ${group.sharePercent.toFixed(
+          1
+        )}% of their bills${
+          group.avgParticipants === null
+            ? ""
+            : `, split ${group.avgParticipants.toFixed(1)} ways on average`
+        }.` +
+        (group.coveredForOthers > 0
+          ? ` As the host we covered ${formatCurrency(
+              group.coveredForOthers
+            )} for others.`
+          : "") +
+        (group.unknownHost
+          ? ` ${group.unknownHost} group orders with an unknown host count our share as paid.`
+          : "") +
+        "\n\n### Places We Order From Together\n\n" +
+        table(
+          ["Venue", "Orders", "Our Share", "Full Bill", "Average Group"],
+          venues.map((venue) => [
+            venue.venue,
+            venue.orders,
+            formatCurrency(venue.share),
+            formatCurrency(venue.bill),
+            venue.avgParticipants === null
+              ? "-"
+              : venue.avgParticipants.toFixed(1),
+          ])
+        )
+    );
+  }
+
+  sections.push(
+    "## Order Outcomes\n\n" +
+      table(
+        ["Status", "Orders"],
+        Object.entries(outcomes.statuses).map(([status, count]) => [
+          status,
+          count,
+        ])
+      ) +
+      `\n\nCancellation rate: ${outcomes.cancellationRate.toFixed(
+        1
+      )}%, refund rate: ${outcomes.refundRate.toFixed(1)}% (${formatCurrency(
+        outcomes.refundedAmount
+      )} refunded).`
+  );
+
+  sections.push(
+    "## Fun Facts\n\n" +
+      [
+        `- Most expensive order: ${formatCurrency(
+          funFacts.mostExpensiveOrder.total
+        )} at ${funFacts.mostExpensiveOrder.venue} on ${formatDate(
+          funFacts.mostExpensiveOrder.date
+        )}`,
+        `- Most items in one order: ${funFacts.mostItemsInOrder.items} at ${funFacts.mostItemsInOrder.venue}`,
+        `- Budget-friendly order: ${formatCurrency(
+          funFacts.cheapestOrder.total
+        )} at ${funFacts.cheapestOrder.venue}`,
+      ].join("\n")
+  );
+
+  sections.push(
+    "## Currency Distribution\n\n" +
+      table(
+        ["Currency", "Orders", "Total", `Total (${stats.baseCurrency})`],
+        stats.currencies.map((currency) => [
+          currency.currency,
+          currency.orders,
+          formatCurrency(currency.total, currency.currency),
+          formatCurrency(currency.totalBase),
+        ])
+      )
+  );
+
+  if (stats.geo) {
+    const { areas, distances } = stats.geo;
+    let geography =
+      "## Geography\n\n" +
+      table(
+        ["Area", "Venues", "Orders", "Spent", "Share"],
+        areas.map((area) => [
+          area.home ? `${area.area} (home)` : area.area,
+          area.venues,
+          area.orders,
+          formatCurrency(area.total),
+          `${area.percent.toFixed(1)}%`,
+        ])
+      );
+    if (distances) {
+      geography +=
+        "\n\n### Distance from Home\n\n" +
+        table(
+          ["Distance", "Orders", "Spent"],
+          distances.ranges
+            .filter((range) => range.orders)
+            .map((range) => [
+              range.label,
+              range.orders,
+              formatCurrency(range.total),
+            ])
+        ) +
+        `\n\nAverage distance: ${distances.averageKm.toFixed(
+          1
+        )} km, median: ${distances.medianKm.toFixed(1)} km. Farthest: ${
+          distances.farthest.venue
+        } (${distances.farthest.distanceKm.toFixed(1)} km).`;
+    }
+    sections.push(geography);
+  }
+
+  return sections.join("\n\n") + "\n";
+}
+
+/**
+ * Render a period comparison as a Markdown document
+ */
+function renderComparisonMarkdown(comparison) {
+  const { current, previous } = comparison;
+  const sections = [];
+
+  sections.push(
+    `# ${formatServices(
+      comparison.stats.current.services,
+      comparison.stats.previous.services
+    )} Order Statistics: ${current.label} vs ${previous.label}\n\n` +
+      `Current: ${formatDate(current.start)} - ${formatDate(current.end)}, ` +
+      `previous: ${formatDate(previous.start)} - ${formatDate(
+        previous.end
+      )}, amounts in ${comparison.baseCurrency}`
+  );
+
+  sections.push(
+    "## Totals\n\n" +
+      table(
+        ["Metric", current.label, previous.label, "Change", "Change %"],
+        comparison.metrics.map((metric) => [
+          metric.label,
+          formatMetric(metric.current, metric.type),
+          formatMetric(metric.previous, metric.type),
+          formatDelta(metric.delta, metric.type),
+          formatPercent(metric.percent),
+        ])
+      )
+  );
+
+  const rankingTable = (title, entries) =>
+    entries.length
+      ? `### ${title}\n\n` +
+        table(
+          ["Name", current.label, previous.label, "Change"],
+          entries.map((entry) => [
+            entry.name,
+            entry.current,
+            entry.previous,
+            formatDelta(entry.delta, "count"),
+          ])
+        )
+      : null;
+
+  sections.push(
+    ["## Places (orders)"]
+      .concat(
+        rankingTable("Top", comparison.venues.top),
+        rankingTable("New", comparison.venues.new),
+        rankingTable("Dropped", comparison.venues.dropped),
+        rankingTable("Rising", comparison.venues.rising)
+      )
+      .filter(Boolean)
+      .join("\n\n")
+  );
+
+  sections.push(
+    ["## Items (times ordered)"]
+      .concat(
+        rankingTable("Top", comparison.items.top),
+        rankingTable("New", comparison.items.new),
+        rankingTable("Dropped", comparison.items.dropped)
+      )
+      .filter(Boolean)
+      .join("\n\n")
+  );
+
+  return sections.join("\n\n") + "\n";
+}
+
+module.exports = {
+  renderComparisonMarkdown,
+  renderMarkdown,
+};
@@ -0,0 +1,730 @@
+const dayjs = require("dayjs");
+const chalk = require("chalk");
+const { formatCurrency } = require("../../../utils/currency");
+const {
+  formatDelta,
+  formatHours,
+  formatMetric,
+  formatPercent,
+  formatServices,
+  formatSpent,
+} = require("./format");
+
+const orange = chalk.hex("#FFA500");
+
+// Heatmap shades, from no orders to the busiest hour
+const SHADES = [" ", "░", "▒", "▓", "█"];
+const HOURS = [...Array(24).keys()];
+
+/**
+ * Render stats as the colored terminal report
+ */
+function renderTerminal(stats) {
+  const lines = [];
+  const print = (line = "") => lines.push(line);
+
+  // Helper function to print a section header
+  const printSection = (title) => {
+    print("\n" + chalk.bold.blue("=== " + title + " ==="));
+  };
+
+  const { totals, time, spending, funFacts } = stats;
+  const startDate = dayjs(stats.period.start).format("MMMM D, YYYY");
+  const endDate = dayjs(stats.period.end).format("MMMM D, YYYY");
+
+  print(
+    chalk.bold.green(`📊 ${formatServices(stats.services)} Order Statistics`)
+  );
+  print(
+    chalk.bold.green(
+      `📅 Date Range: ${startDate} - ${endDate}${
+        stats.period.label ? ` (${stats.period.label})` : ""
+      }`
+    )
+  );
+  if (stats.redaction) {
+    print(chalk.gray(`🔒 Redacted: ${stats.redaction.join(", ")}`));
+  }
+
+  // Basic Order Statistics
+  printSection("Basic Order Statistics");
+
+  print(chalk.green(`📦 Total Orders: ${totals.orders}`));
+  print(chalk.green(`🍽️ Total Items: ${totals.items}`));
+  print(chalk.green(`💰 Total Spent: ${formatSpent(totals)}`));
+  if (stats.amount === "paid") {
+    print(chalk.gray("   Group orders count what we paid, not our share"));
+  }
+  print(
+    chalk.green(
+      `📊 Average Items per Order: ${totals.avgItemsPerOrder.toFixed(1)}`
+    )
+  );
+  print(
+    chalk.green(
+      `💵 Average Order Value: ${formatCurrency(totals.avgOrderValue)}`
+    )
+  );
+  print(
+    chalk.green(
+      `📈 Average Orders per Month: ${totals.avgOrdersPerMonth.toFixed(1)}`
+    )
+  );
+
+  // Per-service breakdown, when orders come from more than one service
+  if (stats.services.length > 1) {
+    printSection("Delivery Services");
+
+    stats.services.forEach((service) => {
+      print(
+        chalk.green(
+          `🛵 ${service.label}: ${service.orders} orders, ${formatCurrency(
+            service.total
+          )} (${service.percent.toFixed(1)}%), average order ${formatCurrency(
+            service.avgOrderValue
+          )}`
+        )
+      );
+    });
+  }
+
+  // Time-based Analysis
+  printSection("Time-based Analysis");
+
+  print(
+    chalk.yellow(
+      `📅 Most Active Month: ${time.mostActiveMonth.month} (${time.mostActiveMonth.orders} orders)`
+    )
+  );
+  print(
+    chalk.yellow(
+      `📆 Most Active Day: ${time.mostActiveDay.day} (${time.mostActiveDay.orders} orders)`
+    )
+  );
+
+  // Hour × weekday heatmap, shaded relative to the busiest hour
+  const busiest = Math.max(...time.heatmap.flatMap((row) => row.hours));
+  if (busiest > 0) {
+    print(chalk.yellow("\n🕐 Orders by Hour (venue local time):"));
+    print(
+      chalk.yellow(
+        "       " +
+          HOURS.map((hour) => (hour % 3 ? "  " : String(hour).padStart(2, "0")))
+            .join("")
+            .trimEnd()
+      )
+    );
+    time.heatmap.forEach((row) => {
+      const cells = row.hours
+        .map((count) => {
+          const level = count
+            ? Math.ceil((count / busiest) * (SHADES.length - 1))
+            : 0;
+          return SHADES[level].repeat(2);
+        })
+        .join("");
+      print(chalk.yellow(`   ${row.day.slice(0, 3)} ${cells}`));
+    });
+    print(
+      chalk.gray(
+        `       ${SHADES.slice(1).join(
+          ""
+        )} fewer to more orders (busiest hour: ${busiest} orders)`
+      )
+    );
+  }
+
+  print(chalk.yellow("\n🍽️ Orders by Meal:"));
+  time.meals.forEach((meal) => {
+    print(
+      chalk.yellow(
+        `   ${meal.meal} (${formatHours(meal.from, meal.to)}): ${
+          meal.orders
+        } orders, ${formatCurrency(meal.total)} (${meal.percent.toFixed(1)}%)`
+      )
+    );
+  });
+
+  print(chalk.yellow("\n⏰ Typical Delivery Hour:"));
+  stats.venues.slice(0, 5).forEach((venue, index) => {
+    if (venue.typicalHour === null) return;
+    print(
+      chalk.yellow(
+        `   ${index + 1}. ${venue.venue}: ${formatHours(
+          venue.typicalHour,
+          venue.typicalHour + 1
+        )}`
+      )
+    );
+  });
+
+  // Venue Analysis
+  printSection("Venue Analysis");
+
+  print(chalk.magenta("🏪 Top 5 Most Ordered Places:"));
+  stats.venues.slice(0, 5).forEach((venue, index) => {
+    print(
+      chalk.magenta(
+        `   ${index + 1}. ${venue.venue} (${
+          venue.orders
+        } orders, ${formatCurrency(venue.total)}${
+          venue.branches > 1 ? `, ${venue.branches} branches` : ""
+        })`
+      )
+    );
+  });
+
+  // Branches only differ from brands for chains
+  if (stats.branches.length > stats.venues.length) {
+    print(chalk.magenta("\n🏬 Top 5 Branches:"));
+    stats.branches.slice(0, 5).forEach((branch, index) => {
+      print(
+        chalk.magenta(
+          `   ${index + 1}. ${branch.branch} (${
+            branch.orders
+          } orders, ${formatCurrency(branch.total)})`
+        )
+      );
+    });
+  }
+
+  // Item Analysis
+  printSection("Item Analysis");
+
+  print(chalk.cyan("🍔 Top 5 Most Ordered Items:"));
+  stats.items.slice(0, 5).forEach((item, index) => {
+    print(
+      chalk.cyan(
+        `   ${index + 1}. ${item.name} (ordered ${
+          item.count
+        } times, ${formatCurrency(item.total)}${
+          item.variants.length > 1 ? `, ${item.variants.length} variants` : ""
+        })`
+      )
+    );
+  });
+
+  // Categories, by item spend
+  if (stats.categories.length) {
+    printSection("Categories");
+
+    print(chalk.green("🥡 Spending by Category:"));
+    stats.categories.forEach((category) => {
+      const { trend } = category;
+      const change =
+        trend.previous || trend.total
+          ? `, ${trend.month}: ${formatPercent(trend.percent)} vs ${
+              trend.previousMonth
+            }`
+          : "";
+      print(
+        chalk.green(
+          `   ${category.category}: ${formatCurrency(
+            category.total
+          )} (${category.percent.toFixed(1)}%), ${category.items} items, ${
+            category.orders
+          } orders${change}`
+        )
+      );
+    });
+
+    const { unclassified } = stats;
+    if (unclassified.items) {
+      print(
+        chalk.gray(
+          `\n❓ Unclassified: ${unclassified.items} items (${formatCurrency(
+            unclassified.total
+          )}, ${unclassified.percent.toFixed(1)}%), most ordered:`
+        )
+      );
+      unclassified.names.slice(0, 10).forEach((item) => {
+        print(
+          chalk.gray(
+            `   ${item.name} (${item.count} times at ${item.venues.join(", ")})`
+          )
+        );
+      });
+      print(
+        chalk.gray(
+          "   Add rules for them to data/wolt/categories.json (see README)"
+        )
+      );
+    }
+  }
+
+  // Spending Patterns
+  printSection("Spending Patterns");
+
+  const { topMonth, lowestMonth, averages } = spending;
+
+  print(chalk.red("💰 Monthly Spending Analysis:"));
+  print(chalk.red(`   Top Spending Month: ${topMonth.month}`));
+  print(chalk.red(`      Total: ${formatCurrency(topMonth.total)}`));
+  print(chalk.red(`      Orders: ${topMonth.count}`));
+  print(chalk.red(`      Items: ${topMonth.items}`));
+  print(
+    chalk.red(
+      `      Average per Order: ${formatCurrency(topMonth.avgPerOrder)}`
+    )
+  );
+
+  print(chalk.red(`\n   Lowest Spending Month: ${lowestMonth.month}`));
+  print(chalk.red(`      Total: ${formatCurrency(lowestMonth.total)}`));
+  print(chalk.red(`      Orders: ${lowestMonth.count}`));
+  print(chalk.red(`      Items: ${lowestMonth.items}`));
+  print(
+    chalk.red(
+      `      Average per Order: ${formatCurrency(lowestMonth.avgPerOrder)}`
+    )
+  );
+
+  print(chalk.red("\n   Monthly Averages:"));
+  print(chalk.red(`      Spending: ${formatCurrency(averages.spending)}`));
+  print(chalk.red(`      Orders: ${averages.orders.toFixed(1)}`));
+  print(chalk.red(`      Items: ${averages.items.toFixed(1)}`));
+
+  print(chalk.red("\n💳 Order Value Patterns:"));
+  print(
+    chalk.red(
+      `   Highest Average Order: ${
+        spending.highestAvgOrder.month
+      } (${formatCurrency(spending.highestAvgOrder.avgPerOrder)} per order)`
+    )
+  );
+  print(
+    chalk.red(
+      `   Lowest Average Order: ${
+        spending.lowestAvgOrder.month
+      } (${formatCurrency(spending.lowestAvgOrder.avgPerOrder)} per order)`
+    )
+  );
+
+  // Budget
+  if (stats.budget) {
+    const { current, months, streaks, rolling } = stats.budget;
+    printSection("Budget");
+
+    if (current?.budget) {
+      print(
+        chalk.red(
+          `🎯 This Month (${current.month}): ${formatCurrency(
+            current.spent
+          )} spent, projected ${formatCurrency(
+            current.projected
+          )} of ${formatCurrency(current.budget)} (${
+            current.daysLeft
+          } days left)`
+        )
+      );
+      print(
+        current.projectedOver
+          ? chalk.red.bold(
+              `   ⚠️ On pace to go over by ${formatCurrency(
+                current.projected - current.budget
+              )}`
+            )
+          : chalk.green(
+              `   ✅ On track, ${formatCurrency(
+                current.budget - current.spent
+              )} left`
+            )
+      );
+    }
+
+    if (stats.budget.monthly) {
+      print(chalk.red("\n📅 Spend vs Budget (last 12 months):"));
+      months
+        .slice(-12)
+        .reverse()
+        .forEach((month) => {
+          const projected =
+            month.projected !== month.spent
+              ? `, projected ${formatCurrency(month.projected)}`
+              : "";
+          const line = `   ${month.month}: ${formatCurrency(
+            month.spent
+          )} (${month.percent.toFixed(0)}%${projected})${
+            month.over ? " over" : ""
+          }`;
+          print(month.over ? chalk.red.bold(line) : chalk.red(line));
+        });
+
+      print(
+        chalk.red(
+          `\n🔥 Months Over Budget in a Row: ${streaks.current}${
+            streaks.longest
+              ? ` (longest: ${streaks.longest.length}, ${streaks.longest.from} to ${streaks.longest.to})`
+              : ""
+          }`
+        )
+      );
+    }
+
+    print(
+      chalk.red(
+        `📈 Rolling Averages: ${formatCurrency(
+          rolling[3]
+        )} (3 months), ${formatCurrency(rolling[12])} (12 months)`
+      )
+    );
+
+    [
+      ["🏪 Place Budgets", stats.budget.venues],
+      ["🥡 Category Budgets", stats.budget.categories],
+    ]
+      .filter(([, groups]) => groups.length)
+      .forEach(([title, groups]) => {
+        print(chalk.red(`\n${title} (${groups[0].month}):`));
+        groups.forEach((group) => {
+          const line = `   ${group.name}: ${formatCurrency(group.spent)}${
+            group.projected !== group.spent
+              ? `, projected ${formatCurrency(group.projected)}`
+              : ""
+          } of ${formatCurrency(group.budget)}${
+            group.monthsOver
+              ? ` (over budget in ${group.monthsOver} months)`
+              : ""
+          }`;
+          print(group.over ? chalk.red.bold(line) : chalk.red(line));
+        });
+      });
+  }
+
+  // Fees & Savings
+  printSection("Fees & Savings");
+
+  const { fees } = stats;
+  if (!fees) {
+    print(
+      chalk.gray("   No fee data available, re-export orders to include it")
+    );
+  } else {
+    print(chalk.blue(`🧾 Food (subtotal): ${formatCurrency(fees.subtotal)}`));
+    print(chalk.blue(`🚚 Delivery Fees: ${formatCurrency(fees.deliveryFee)}`));
+    print(chalk.blue(`🛎️ Service Fees: ${formatCurrency(fees.serviceFee)}`));
+    print(
+      chalk.blue(
+        `🪙 Small Order Surcharges: ${formatCurrency(fees.smallOrderFee)}`
+      )
+    );
+    print(
+      chalk.blue(
+        `📉 Total Fees: ${formatCurrency(
+          fees.totalFees
+        )} (${fees.feesPercent.toFixed(1)}% of spend)`
+      )
+    );
+    print(chalk.blue(`💁 Tips: ${formatCurrency(fees.tips)}`));
+    print(chalk.blue(`🏷️ Discounts: ${formatCurrency(fees.discounts)}`));
+    print(
+      chalk.blue(
+        `⭐ Subscription Savings: ${formatCurrency(fees.subscriptionSavings)}`
+      )
+    );
+    if (fees.ordersWithFees < fees.ordersTotal) {
+      print(
+        chalk.gray(
+          `   Based on ${fees.ordersWithFees} of ${fees.ordersTotal} orders with fee data`
+        )
+      );
+    }
+
+    if (fees.topVenues.length) {
+      print(chalk.blue("\n💸 Top 5 Places by Fees Paid:"));
+      fees.topVenues.forEach((venue, index) => {
+        print(
+          chalk.blue(
+            `   ${index + 1}. ${venue.venue} (${formatCurrency(
+              venue.fees
+            )} total, ${formatCurrency(venue.feesPerOrder)} per order)`
+          )
+        );
+      });
+    }
+  }
+
+  // Group vs. solo orders, for exports that record group orders
+  const { groups } = stats;
+  if (groups) {
+    printSection("Group Orders");
+
+    const { solo, group } = groups;
+    print(
+      chalk.cyan(
+        `👥 Group Orders: ${group.orders} (${group.percent.toFixed(
+          1
+        )}% of orders)${
+          group.avgParticipants === null
+            ? ""
+            : `, ${group.avgParticipants.toFixed(1)} people on average`
+        }`
+      )
+    );
+    print(
+      chalk.cyan(
+        `🧾 Our Share: ${formatCurrency(group.share)} of ${formatCurrency(
+          group.bill
+        )} in full bills (${group.sharePercent.toFixed(1)}%)`
+      )
+    );
+    print(
+      chalk.cyan(
+        `💳 We Paid: ${formatCurrency(group.paid)}${
+          group.coveredForOthers > 0
+            ? `, covering ${formatCurrency(
+                group.coveredForOthers
+              )} for others as the host`
+            : ""
+        }`
+      )
+    );
+    if (group.unknownHost) {
+      print(
+        chalk.gray(
+          `   ${group.unknownHost} group orders with an unknown host count our share as paid`
+        )
+      );
+    }
+    print(
+      chalk.cyan(
+        `💵 Average Share: ${formatCurrency(
+          group.avgShare
+        )} of a ${formatCurrency(group.avgBill)} bill`
+      )
+    );
+    print(
+      chalk.cyan(
+        `🙋 Solo Orders: ${solo.orders}, ${formatCurrency(
+          solo.total
+        )} (average ${formatCurrency(solo.avgOrderValue)})`
+      )
+    );
+
+    print(chalk.cyan("\n🍕 Places We Order From Together:"));
+    groups.venues.forEach((venue, index) => {
+      print(
+        chalk.cyan(
+          `   ${index + 1}. ${venue.venue} (${
+            venue.orders
+          } orders, ${formatCurrency(venue.share)} of ${formatCurrency(
+            venue.bill
+          )}${
+            venue.avgParticipants === null
+              ? ""
+              : `, ${venue.avgParticipants.toFixed(1)} people`
+          })`
+        )
+      );
+    });
+  }
+
+  // Order Outcomes
+  printSection("Order Outcomes");
+
+  const { outcomes } = stats;
+  const percentOfPlaced = (count) =>
+    ((count / outcomes.placed) * 100).toFixed(1);
+
+  print(chalk.white(`🧮 Orders Placed: ${outcomes.placed}`));
+  Object.entries(outcomes.statuses).forEach(([status, count]) => {
+    print(chalk.white(`   ${status}: ${count} (${percentOfPlaced(count)}%)`));
+  });
+  print(
+    chalk.white(
+      `🚫 Cancellation Rate: ${outcomes.cancellationRate.toFixed(1)}% (${
+        outcomes.cancelled
+      } cancelled or rejected)`
+    )
+  );
+  print(
+    chalk.white(
+      `↩️ Refund Rate: ${outcomes.refundRate.toFixed(1)}% (${
+        outcomes.refunded
+      } orders, ${formatCurrency(outcomes.refundedAmount)} refunded)`
+    )
+  );
+
+  if (outcomes.topFailedVenues.length) {
+    print(chalk.white("\n⚠️ Places with Most Failed Orders:"));
+    outcomes.topFailedVenues.forEach(({ venue, statuses, count }, index) => {
+      const breakdown = Object.entries(statuses)
+        .map(([status, statusCount]) => `${statusCount} ${status}`)
+        .join(", ");
+      print(
+        chalk.white(`   ${index + 1}. ${venue} (${count} orders: ${breakdown})`)
+      );
+    });
+  }
+
+  // Fun Facts
+  printSection("Fun Facts");
+
+  const { mostExpensiveOrder, mostItemsInOrder, cheapestOrder } = funFacts;
+
+  print(orange("🏆 Most Expensive Order:"));
+  print(
+    orange(
+      `   ${formatCurrency(mostExpensiveOrder.total)} at ${
+        mostExpensiveOrder.venue
+      }`
+    )
+  );
+  print(
+    orange(`   Date: ${dayjs(mostExpensiveOrder.date).format("MMMM D, YYYY")}`)
+  );
+
+  print(orange("\n🎯 Most Items in One Order:"));
+  print(
+    orange(`   ${mostItemsInOrder.items} items at ${mostItemsInOrder.venue}`)
+  );
+  print(orange(`   Total: ${formatCurrency(mostItemsInOrder.total)}`));
+
+  print(orange("\n💝 Budget-Friendly Order:"));
+  print(
+    orange(
+      `   ${formatCurrency(cheapestOrder.total)} at ${cheapestOrder.venue}`
+    )
+  );
+
+  // Currency Distribution
+  printSection("Currency Distribution");
+
+  print(chalk.yellow("💱 Orders by Currency:"));
+  stats.currencies.forEach((currency) => {
+    print(
+      chalk.yellow(
+        `   ${currency.currency}: ${currency.orders} orders (${formatCurrency(
+          currency.total,
+          currency.currency
+        )} / ${formatCurrency(currency.totalBase)})`
+      )
+    );
+  });
+
+  // Geography, when venues were exported with coordinates
+  if (stats.geo) {
+    const { areas, distances } = stats.geo;
+    printSection("Geography");
+
+    print(chalk.cyan("🗺️ Spending by Area:"));
+    areas.forEach((area) => {
+      print(
+        chalk.cyan(
+          `   ${area.home ? "🏠 " : ""}${area.area}: ${area.orders} orders at ${
+            area.venues
+          } ${area.venues === 1 ? "venue" : "venues"}, ${formatCurrency(
+            area.total
+          )} (${area.percent.toFixed(1)}%)`
+        )
+      );
+    });
+
+    if (distances) {
+      print(chalk.cyan("\n📏 Distance from Home:"));
+      distances.ranges
+        .filter((range) => range.orders)
+        .forEach((range) => {
+          print(
+            chalk.cyan(
+              `   ${range.label}: ${range.orders} orders, ${formatCurrency(
+                range.total
+              )}`
+            )
+          );
+        });
+      print(
+        chalk.cyan(
+          `   Average: ${distances.averageKm.toFixed(
+            1
+          )} km, median: ${distances.medianKm.toFixed(1)} km`
+        )
+      );
+      print(
+        chalk.cyan(
+          `   Farthest: ${
+            distances.farthest.venue
+          } (${distances.farthest.distanceKm.toFixed(1)} km)`
+        )
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render a period comparison for the terminal
+ */
+function renderComparisonTerminal(comparison) {
+  const lines = [];
+  const print = (line = "") => lines.push(line);
+  const printSection = (title) => {
+    print("\n" + chalk.bold.blue("=== " + title + " ==="));
+  };
+  const colorDelta = (value, text) =>
+    value > 0 ? chalk.green(text) : value < 0 ? chalk.red(text) : text;
+  const describeRange = (period) =>
+    `${period.label} (${dayjs(period.start).format("MMM D, YYYY")} - ${dayjs(
+      period.end
+    ).format("MMM D, YYYY")})`;
+
+  const { current, previous } = comparison.stats;
+  print(
+    chalk.bold.green(
+      `📊 ${formatServices(
+        current.services,
+        previous.services
+      )} Order Statistics: Period Comparison`
+    )
+  );
+  print(chalk.bold.green(`📅 Current: ${describeRange(comparison.current)}`));
+  print(chalk.bold.green(`📅 Previous: ${describeRange(comparison.previous)}`));
+
+  printSection("Totals");
+  comparison.metrics.forEach((metric) => {
+    print(
+      `   ${metric.label}: ${formatMetric(
+        metric.current,
+        metric.type
+      )} vs ${formatMetric(metric.previous, metric.type)} ${colorDelta(
+        metric.delta,
+        `(${formatDelta(metric.delta, metric.type)}, ${formatPercent(
+          metric.percent
+        )})`
+      )}`
+    );
+  });
+
+  const printRanking = (title, entries, unit) => {
+    if (!entries.length) return;
+    print(chalk.magenta(`\n${title}`));
+    entries.forEach((entry, index) => {
+      print(
+        `   ${index + 1}. ${entry.name}: ${entry.current} vs ${
+          entry.previous
+        } ${unit} ${colorDelta(
+          entry.delta,
+          `(${formatDelta(entry.delta, "count")})`
+        )}`
+      );
+    });
+  };
+
+  printSection("Venues");
+  printRanking("🏪 Top Places:", comparison.venues.top, "orders");
+  printRanking("🆕 New Places:", comparison.venues.new, "orders");
+  printRanking("📉 Dropped Places:", comparison.venues.dropped, "orders");
+  printRanking("🚀 Rising Places:", comparison.venues.rising, "orders");
+
+  printSection("Items");
+  printRanking("🍔 Top Items:", comparison.items.top, "times");
+  printRanking("🆕 New Items:", comparison.items.new, "times");
+  printRanking("📉 Dropped Items:", comparison.items.dropped, "times");
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  renderComparisonTerminal,
+  renderTerminal,
+};
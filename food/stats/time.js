@@ -0,0 +1,60 @@
+const { toLocalTime } = require("../../utils/time");
+
+// Weekdays in heatmap order
+const WEEKDAYS = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+// Meals by local delivery hour; late night wraps around midnight
+const MEALS = [
+  { meal: "Breakfast", from: 5, to: 11 },
+  { meal: "Lunch", from: 11, to: 16 },
+  { meal: "Dinner", from: 16, to: 22 },
+  { meal: "Late night", from: 22, to: 5 },
+];
+
+// Meal of a local hour
+const getMeal = (hour) =>
+  MEALS.find(({ from, to }) =>
+    from < to ? hour >= from && hour < to : hour >= from || hour < to
+  );
+
+/**
+ * Local time of an order ("YYYY-MM-DDTHH:mm:ss") in its venue's timezone,
+ * so that late-night orders and orders abroad land in the right day
+ */
+const getLocalTime = (order) =>
+  order.local_time ??
+  toLocalTime(order.delivery_time ?? order.order_time, order.venue_timezone);
+
+/**
+ * Month ("YYYY-MM"), weekday (0 for Monday) and hour of a local time
+ */
+const getLocalParts = (localTime) => ({
+  month: localTime.slice(0, 7),
+  weekday:
+    (new Date(`${localTime.slice(0, 10)}T00:00:00Z`).getUTCDay() + 6) % 7,
+  hour: Number(localTime.slice(11, 13)),
+});
+
+/**
+ * Add a `local_time` field to copies of the orders, computed once for all
+ * the period filters and stats that need it
+ */
+const localizeOrders = (orders) =>
+  orders.map((order) => ({ ...order, local_time: getLocalTime(order) }));
+
+module.exports = {
+  MEALS,
+  WEEKDAYS,
+  getLocalParts,
+  getLocalTime,
+  getMeal,
+  localizeOrders,
+};
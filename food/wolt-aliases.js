@@ -0,0 +1,167 @@
+const chalk = require("chalk");
+const { runScript } = require("../utils/cli");
+const { dataPath } = require("../utils/paths");
+const { readJson, writeJson } = require("../utils/storage");
+const {
+  ALIASES_FILE,
+  createNormalizer,
+  loadAliases,
+} = require("./stats/aliases");
+const { DEFAULT_THRESHOLD, suggestAliases } = require("./stats/fuzzy");
+const { getExportedProviders } = require("./providers");
+const { streamDataFile } = require("./providers/dataset");
+
+// Count per name as { name, count } entries
+const toEntries = (counts) =>
+  Object.entries(counts).map(([name, count]) => ({ name, count }));
+
+/**
+ * Add suggested groups to an alias section. A suggested variant that is
+ * already a canonical name brings its own variants along.
+ */
+const mergeSuggestions = (groups, suggestions) => {
+  const merged = { ...groups };
+  for (const { canonical, variants } of suggestions) {
+    const names = [...(merged[canonical] || [])];
+    for (const { name } of variants) {
+      names.push(name, ...(merged[name] || []));
+      delete merged[name];
+    }
+    merged[canonical] = [...new Set(names)];
+  }
+  return merged;
+};
+
+// Print suggestions as "canonical ← variant (count), ..."
+const printSuggestions = (title, suggestions) => {
+  console.log(chalk.bold.blue(title));
+  if (!suggestions.length) {
+    console.log(chalk.gray("   No new suggestions"));
+    return;
+  }
+  suggestions.forEach(({ canonical, variants }) => {
+    const names = variants
+      .map(({ name, count }) => `${name} (${count})`)
+      .join(", ");
+    console.log(`   ${chalk.green(canonical)} ← ${names}`);
+  });
+};
+
+/**
+ * Suggest venue and item aliases for names that look alike, and optionally
+ * add them to the alias file
+ */
+async function suggestFromOrders(showAll, { aliasesFile, threshold, write }) {
+  const aliases = loadAliases(aliasesFile);
+  const normalizer = createNormalizer(aliases);
+
+  // Aliases apply to every service, so names are gathered from all of them
+  const providers = getExportedProviders(showAll);
+  if (!providers.length) {
+    console.error("Error: no exported orders found, fetch them first");
+    process.exitCode = 1;
+    return;
+  }
+  const venueCounts = {};
+  const itemCounts = {};
+  for (const provider of providers) {
+    const options = { all: showAll };
+    await streamDataFile(
+      provider,
+      "orders",
+      (order) => {
+        const brand = normalizer.brand(order);
+        venueCounts[brand] = (venueCounts[brand] || 0) + 1;
+      },
+      options
+    );
+    await streamDataFile(
+      provider,
+      "items",
+      (item) => {
+        const name = normalizer.item(item.name);
+        itemCounts[name] = (itemCounts[name] || 0) + item.count;
+      },
+      options
+    );
+  }
+
+  const venues = suggestAliases(toEntries(venueCounts), {
+    threshold,
+    prefixes: true,
+  });
+  const items = suggestAliases(toEntries(itemCounts), { threshold });
+
+  printSuggestions("🏪 Suggested venue aliases (brand ← venues):", venues);
+  printSuggestions("\n🍔 Suggested item aliases (item ← variants):", items);
+
+  if (!venues.length && !items.length) return;
+
+  if (!write) {
+    console.log(
+      chalk.yellow(
+        `\nReview the suggestions and add them to ${aliasesFile}, or run with --write to save them all`
+      )
+    );
+    return;
+  }
+
+  // Keep any other keys the user has in the file, which stays plain so
+  // that it can be edited by hand
+  writeJson(
+    aliasesFile,
+    {
+      ...readJson(aliasesFile, {}),
+      venues: mergeSuggestions(aliases.venues, venues),
+      items: mergeSuggestions(aliases.items, items),
+    },
+    { encrypt: false }
+  );
+  console.log(
+    chalk.green(
+      `\nSaved ${venues.length + items.length} alias groups to ${aliasesFile}`
+    )
+  );
+}
+
+const command = {
+  name: "aliases",
+  description: "Suggest venue and item aliases for names that look alike",
+  options: {
+    all: { type: "boolean", description: "Use the full history" },
+    aliases: {
+      type: "string",
+      placeholder: "file",
+      description:
+        "Alias file (default: wolt/aliases.json in the data directory)",
+    },
+    threshold: {
+      type: "number",
+      placeholder: "0-1",
+      default: DEFAULT_THRESHOLD,
+      description: "How alike names must be",
+    },
+    write: {
+      type: "boolean",
+      description: "Add the suggestions to the alias file",
+    },
+  },
+  run: ({ all, aliases, threshold, write }) => {
+    if (!(threshold > 0 && threshold <= 1)) {
+      console.error("Error: --threshold expects a number between 0 and 1");
+      process.exit(1);
+    }
+    return suggestFromOrders(all, {
+      aliasesFile: aliases ?? dataPath(ALIASES_FILE),
+      threshold,
+      write,
+    }).catch((error) => {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = 1;
+    });
+  },
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command };
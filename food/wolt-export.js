@@ -0,0 +1,311 @@
+const path = require("path");
+const dayjs = require("dayjs");
+const initSqlJs = require("sql.js");
+const {
+  BASE_CURRENCY,
+  getExchangeRate,
+  preloadExchangeRates,
+  saveExchangeRateCache,
+} = require("../utils/currency");
+const { runScript } = require("../utils/cli");
+const { readKeyring } = require("../utils/encryption");
+const { dataPath } = require("../utils/paths");
+const { writeFileAtomic } = require("../utils/storage");
+const { toLocalTime } = require("../utils/time");
+const {
+  SERVICES,
+  getDataDir,
+  getDataFiles,
+  getProvider,
+} = require("./providers");
+const { readDataFile } = require("./providers/dataset");
+
+const SCHEMA = `
+  CREATE TABLE venues (
+    venue_id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    name_fixed TEXT NOT NULL,
+    latitude REAL,
+    longitude REAL,
+    timezone TEXT
+  );
+
+  CREATE TABLE exchange_rates (
+    currency TEXT NOT NULL,
+    date TEXT NOT NULL,
+    base_currency TEXT NOT NULL,
+    rate REAL,
+    PRIMARY KEY (currency, date)
+  );
+
+  CREATE TABLE orders (
+    order_id TEXT PRIMARY KEY,
+    venue_id INTEGER REFERENCES venues (venue_id),
+    status TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    total_price REAL NOT NULL,
+    total_price_base REAL,
+    delivery_time TEXT,
+    order_time TEXT,
+    year_month TEXT,
+    subtotal REAL,
+    delivery_fee REAL,
+    service_fee REAL,
+    small_order_fee REAL,
+    tip REAL,
+    discount REAL,
+    subscription_discount REAL,
+    credits_used REAL,
+    refund_amount REAL,
+    bill_total REAL,
+    paid_price REAL,
+    group_order INTEGER,
+    participants INTEGER,
+    group_host INTEGER
+  );
+
+  CREATE TABLE items (
+    id INTEGER PRIMARY KEY,
+    order_id TEXT NOT NULL REFERENCES orders (order_id) ON DELETE CASCADE,
+    item_id TEXT,
+    name TEXT NOT NULL,
+    price REAL NOT NULL,
+    price_base REAL,
+    currency TEXT NOT NULL,
+    count INTEGER NOT NULL
+  );
+
+  CREATE INDEX idx_orders_venue ON orders (venue_id);
+  CREATE INDEX idx_orders_order_time ON orders (order_time);
+  CREATE INDEX idx_orders_year_month ON orders (year_month);
+  CREATE INDEX idx_orders_status ON orders (status);
+  CREATE INDEX idx_items_order ON items (order_id);
+  CREATE INDEX idx_items_name ON items (name);
+`;
+
+// Format a millisecond timestamp as an ISO 8601 string for SQLite
+const toIsoString = (timestamp) =>
+  timestamp ? new Date(Number(timestamp)).toISOString() : null;
+
+// SQLite has no booleans; unknown stays NULL
+const toFlag = (value) => (typeof value === "boolean" ? Number(value) : null);
+
+// Day an order is converted at (delivery time, or when it was placed)
+const getOrderDate = (order) => {
+  const time = order.order_time ?? order.delivery_time;
+  return time ? dayjs(Number(time)).format("YYYY-MM-DD") : null;
+};
+
+// Month of an order in its venue's local time (older exports stored UTC)
+const getYearMonth = (order) =>
+  toLocalTime(
+    order.order_time ?? order.delivery_time,
+    order.venue_timezone
+  )?.slice(0, 7) ?? order.year_month;
+
+// Whether a file is inside the data directory
+const isInDataDir = (file) => {
+  const relative = path.relative(dataPath(), path.resolve(file));
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+};
+
+// Base-currency amount, or null if no rate was available
+const toBase = (amount, rate) =>
+  rate === null || amount === undefined ? null : amount * rate;
+
+/**
+ * Look up one exchange rate per currency and day used by the orders
+ */
+async function loadExchangeRates(orders) {
+  await preloadExchangeRates(
+    orders.map((order) => [order.currency, getOrderDate(order)])
+  );
+
+  const rates = new Map();
+  for (const order of orders) {
+    const date = getOrderDate(order);
+    const key = `${order.currency}_${date}`;
+    if (date && !rates.has(key)) {
+      rates.set(key, {
+        currency: order.currency,
+        date,
+        rate: await getExchangeRate(order.currency, date),
+      });
+    }
+  }
+  return rates;
+}
+
+/**
+ * Build a SQLite database from a delivery service's exported orders and
+ * items. SQLite needs a plain file, so when the data directory is
+ * encrypted the database has to go outside it.
+ */
+async function exportToSqlite({ service, all: showAll, out: outFile }) {
+  const provider = getProvider(service);
+  const prefix = showAll ? "all_" : "";
+  const file =
+    outFile || `${getDataDir(provider)}/${prefix}${provider.name}.sqlite`;
+
+  if (readKeyring() && isInDataDir(file)) {
+    console.error(
+      `Error: the data directory is encrypted but SQLite databases are plain files, give --out with a file outside ${dataPath()}`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const orders = (await readDataFile(provider, "orders", { all: showAll }))
+    ?.records;
+  const items = (await readDataFile(provider, "items", { all: showAll }))
+    ?.records;
+
+  if (!orders || !items) {
+    const files = getDataFiles(provider, showAll);
+    console.error(
+      `Error: ${files.orders} or ${files.items} not found, fetch them first with fetch --service ${provider.name}`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`Looking up exchange rates to ${BASE_CURRENCY}...`);
+  const rates = await loadExchangeRates(orders);
+  saveExchangeRateCache();
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run("PRAGMA foreign_keys = ON");
+  db.run(SCHEMA);
+  db.run("BEGIN");
+
+  const insertRate = db.prepare(
+    "INSERT INTO exchange_rates VALUES (?, ?, ?, ?)"
+  );
+  for (const { currency, date, rate } of rates.values()) {
+    insertRate.run([currency, date, BASE_CURRENCY, rate]);
+  }
+  insertRate.free();
+
+  const venueIds = new Map();
+  const insertVenue = db.prepare(
+    "INSERT INTO venues (name, name_fixed, latitude, longitude, timezone) VALUES (?, ?, ?, ?, ?)"
+  );
+  const insertOrder = db.prepare(
+    `INSERT INTO orders VALUES (${new Array(23).fill("?").join(", ")})`
+  );
+  const orderRates = new Map();
+
+  for (const order of orders) {
+    const venueName = order.venue_name || order.venue_name_fixed;
+    if (!venueIds.has(venueName)) {
+      insertVenue.run([
+        venueName,
+        order.venue_name_fixed,
+        order.latitude,
+        order.longitude,
+        order.venue_timezone,
+      ]);
+      venueIds.set(venueName, venueIds.size + 1);
+    }
+
+    const rateKey = `${order.currency}_${getOrderDate(order)}`;
+    const rate =
+      rates.get(rateKey)?.rate ?? (order.currency === BASE_CURRENCY ? 1 : null);
+    orderRates.set(order.order_id, rate);
+
+    insertOrder.run([
+      order.order_id,
+      venueIds.get(venueName),
+      order.status || "delivered",
+      order.currency,
+      order.total_price,
+      toBase(order.total_price, rate),
+      toIsoString(order.delivery_time),
+      toIsoString(order.order_time ?? order.delivery_time),
+      getYearMonth(order),
+      order.subtotal ?? null,
+      order.delivery_fee ?? null,
+      order.service_fee ?? null,
+      order.small_order_fee ?? null,
+      order.tip ?? null,
+      order.discount ?? null,
+      order.subscription_discount ?? null,
+      order.credits_used ?? null,
+      order.refund_amount ?? null,
+      order.bill_total ?? null,
+      order.paid_price ?? null,
+      toFlag(order.group_order),
+      order.participants ?? null,
+      toFlag(order.group_host),
+    ]);
+  }
+  insertVenue.free();
+  insertOrder.free();
+
+  const insertItem = db.prepare(
+    "INSERT INTO items (order_id, item_id, name, price, price_base, currency, count) VALUES (?, ?, ?, ?, ?, ?, ?)"
+  );
+  let skippedItems = 0;
+  for (const item of items) {
+    if (!orderRates.has(item.order_id)) {
+      skippedItems++;
+      continue;
+    }
+    insertItem.run([
+      item.order_id,
+      item.item_id ?? null,
+      item.name,
+      item.price,
+      toBase(item.price, orderRates.get(item.order_id)),
+      item.currency,
+      item.count,
+    ]);
+  }
+  insertItem.free();
+
+  db.run("COMMIT");
+
+  writeFileAtomic(file, Buffer.from(db.export()));
+  db.close();
+
+  if (skippedItems) {
+    console.log(`Skipped ${skippedItems} items without a matching order`);
+  }
+  console.log(
+    `Exported ${orders.length} ${provider.label} orders, ${
+      items.length - skippedItems
+    } items and ${venueIds.size} venues to ${file}`
+  );
+
+  // Outside the encrypted data directory, but still plain
+  if (readKeyring()) {
+    console.log(`Note: ${file} is not encrypted, delete it when done`);
+  }
+}
+
+const command = {
+  name: "export",
+  description: "Export delivery orders and items to a SQLite database",
+  options: {
+    service: {
+      type: "string",
+      placeholder: "name",
+      choices: SERVICES,
+      default: "wolt",
+      description: "Delivery service to export",
+    },
+    all: { type: "boolean", description: "Export the full history" },
+    out: {
+      type: "string",
+      placeholder: "file",
+      description:
+        "Database file (default: <service>/<service>.sqlite in the data directory, <service>/all_<service>.sqlite with --all; must be outside it when the data is encrypted)",
+    },
+  },
+  run: exportToSqlite,
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command };
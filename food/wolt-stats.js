@@ -1,367 +1,452 @@
 const fs = require("fs");
-const dayjs = require("dayjs");
 const chalk = require("chalk");
 const {
   BASE_CURRENCY,
-  convertToBaseCurrency,
   formatCurrency,
+  saveExchangeRateCache,
 } = require("../utils/currency");
-
-// Check command line arguments
-const showAll = process.argv.includes("--all");
-const prefix = showAll ? "all_" : "";
-
-// Read the data files
-const orders = JSON.parse(
-  fs.readFileSync(`./data/wolt/${prefix}wolt_orders.json`, "utf8")
-);
-const items = JSON.parse(
-  fs.readFileSync(`./data/wolt/${prefix}wolt_items.json`, "utf8")
-);
-
-// Helper function to print a section header
-const printSection = (title) => {
-  console.log("\n" + chalk.bold.blue("=== " + title + " ==="));
+const { runScript } = require("../utils/cli");
+const { writeFileAtomic } = require("../utils/storage");
+const {
+  createNormalizer,
+  loadAliases,
+  normalizeOrders,
+} = require("./stats/aliases");
+const { describeAudit } = require("./stats/audit");
+const { getOverspends, loadBudget } = require("./stats/budget");
+const { createClassifier, loadCategoryRules } = require("./stats/categories");
+const { convertOrders, isDelivered } = require("./stats/convert");
+const { computeStats } = require("./stats/compute");
+const { getHomeLocation } = require("./stats/geo");
+const { AMOUNTS, selectAmount } = require("./stats/group");
+const { createItemSummary } = require("./stats/items");
+const {
+  createRedactor,
+  describeRedaction,
+  loadRedactionProfile,
+} = require("./stats/redact");
+const { localizeOrders } = require("./stats/time");
+const { compareStats } = require("./stats/compare");
+const {
+  SERVICES,
+  getDataFiles,
+  getExportedProviders,
+  getProvider,
+} = require("./providers");
+const { streamDataFile } = require("./providers/dataset");
+const {
+  describePeriod,
+  filterByPeriod,
+  getComparisonPeriodFromOptions,
+  getPeriodFromOptions,
+} = require("./stats/period");
+const {
+  COMPARISON_FORMATS,
+  FORMATS,
+  render,
+  renderComparison,
+} = require("./stats/render");
+const { COMPARISON_CSV_TABLES, CSV_TABLES } = require("./stats/render/csv");
+
+// Command line options, checked against the format and table lists below
+const OPTIONS = {
+  all: { type: "boolean", description: "Use the full history" },
+  service: {
+    type: "string",
+    placeholder: "name",
+    choices: ["all", ...SERVICES],
+    default: "all",
+    description: "Delivery service to report on",
+  },
+  format: {
+    type: "string",
+    placeholder: "format",
+    choices: FORMATS,
+    default: "terminal",
+    description: "Output format",
+  },
+  table: {
+    type: "string",
+    placeholder: "table",
+    description: `CSV table (default: ${CSV_TABLES[0]}, or ${COMPARISON_CSV_TABLES[0]} when comparing)`,
+  },
+  out: {
+    type: "string",
+    placeholder: "file",
+    description: "Write the report to a file instead of stdout",
+  },
+  year: { type: "string", placeholder: "YYYY", description: "Limit to a year" },
+  quarter: {
+    type: "string",
+    placeholder: "YYYY-Qn",
+    description: "Limit to a quarter",
+  },
+  month: {
+    type: "string",
+    placeholder: "YYYY-MM",
+    description: "Limit to a month",
+  },
+  last: {
+    type: "string",
+    placeholder: "span",
+    description: "Limit to the last days, weeks, months or years (90d, 6m)",
+  },
+  from: {
+    type: "string",
+    placeholder: "YYYY-MM-DD",
+    description: "Start of the period",
+  },
+  to: {
+    type: "string",
+    placeholder: "YYYY-MM-DD",
+    description: "End of the period",
+  },
+  compare: {
+    type: "string",
+    placeholder: "period",
+    optional: "previous",
+    description: "Compare with another period (default: the previous one)",
+  },
+  aliases: {
+    type: "string",
+    placeholder: "file",
+    description:
+      "Alias file (default: wolt/aliases.json in the data directory)",
+  },
+  budget: {
+    type: "string",
+    placeholder: "file",
+    description:
+      "Budget file (default: wolt/budget.json in the data directory)",
+  },
+  categories: {
+    type: "string",
+    placeholder: "file",
+    description:
+      "Category rules (default: wolt/categories.json in the data directory)",
+  },
+  amount: {
+    type: "string",
+    placeholder: "amount",
+    choices: AMOUNTS,
+    default: "share",
+    description:
+      "Base totals on our share of group bills or on what we paid for them",
+  },
+  strict: {
+    type: "boolean",
+    description: "Fail when amounts cannot be converted",
+  },
+  redact: {
+    type: "boolean",
+    description:
+      "Redact the report for sharing (hashed ids, rounded coordinates, ...)",
+  },
+  redaction: {
+    type: "string",
+    placeholder: "file",
+    description:
+      "Redaction profile (default: wolt/redaction.json in the data directory)",
+  },
 };
 
-async function generateStats() {
-  // Convert all amounts to base currency
-  console.log(`Converting all amounts to ${BASE_CURRENCY}...`);
-
-  const processedOrders = await Promise.all(
-    orders.map(async (order) => ({
-      ...order,
-      total_price_base: await convertToBaseCurrency(
-        order.total_price,
-        order.currency,
-        order.delivery_time
-      ),
-    }))
-  );
+/**
+ * Set up a stats run from the parsed options: periods, aliases, budget,
+ * categories, redaction and the services to read. Exits on invalid
+ * options.
+ */
+function createContext(options) {
+  let context;
+  try {
+    const period = getPeriodFromOptions(options);
+    const comparisonPeriod = getComparisonPeriodFromOptions(period, options);
+    const aliases = loadAliases(options.aliases);
+    context = {
+      period,
+      comparisonPeriod,
+      normalizer: createNormalizer(aliases),
+      home: getHomeLocation(),
+      budget: loadBudget(options.budget),
+      classifier: createClassifier(loadCategoryRules(options.categories)),
+      // Periods are selected from the full history
+      showAll: options.all || !!period,
+      format: options.format,
+      outFile: options.out,
+      strict: options.strict,
+      amount: options.amount,
+      redaction: options.redact
+        ? loadRedactionProfile(options.redaction)
+        : null,
+    };
 
-  const processedItems = await Promise.all(
-    items.map(async (item) => ({
-      ...item,
-      price_base: await convertToBaseCurrency(
-        item.price,
-        item.currency,
-        processedOrders.find((o) => o.order_id === item.order_id)?.delivery_time
-      ),
-    }))
+    // Redacted reports leave out where home is and the personal budgets.
+    // Alias names can show up in the report, so they get pseudonyms too.
+    if (context.redaction) {
+      context.redactor = createRedactor(context.redaction);
+      context.home = null;
+      context.budget = null;
+      Object.keys(aliases.venues).forEach(context.redactor.venue);
+      Object.keys(aliases.items).forEach(context.redactor.item);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { comparisonPeriod, format } = context;
+  const formats = comparisonPeriod ? COMPARISON_FORMATS : FORMATS;
+  const csvTables = comparisonPeriod ? COMPARISON_CSV_TABLES : CSV_TABLES;
+  context.table = options.table ?? csvTables[0];
+
+  if (!formats.includes(format)) {
+    console.error(
+      `Error: unknown format "${format}", expected one of: ${formats.join(
+        ", "
+      )}`
+    );
+    process.exit(1);
+  }
+  if (format === "csv" && !csvTables.includes(context.table)) {
+    console.error(
+      `Error: unknown CSV table "${
+        context.table
+      }", expected one of: ${csvTables.join(", ")}`
+    );
+    process.exit(1);
+  }
+
+  // Services to report on: one, or every service with exported orders
+  context.providers =
+    options.service === "all"
+      ? getExportedProviders(context.showAll)
+      : [getProvider(options.service)];
+  if (!context.providers.length) {
+    console.error(
+      `Error: no exported orders found for ${SERVICES.join(
+        ", "
+      )}, fetch them first with the fetch command`
+    );
+    process.exit(1);
+  }
+  for (const provider of context.providers) {
+    const missing = Object.values(
+      getDataFiles(provider, context.showAll)
+    ).filter((file) => !fs.existsSync(file));
+    if (missing.length) {
+      console.error(
+        `Error: ${missing.join(" and ")} not found, fetch ${
+          provider.label
+        } orders first with fetch --service ${provider.name}`
+      );
+      process.exit(1);
+    }
+  }
+  context.serviceLabels = Object.fromEntries(
+    context.providers.map((provider) => [provider.name, provider.label])
   );
 
-  // Print data range info
-  const dateRange = processedOrders.map((order) => order.delivery_time).sort();
-  const startDate = dayjs(dateRange[0]).format("MMMM D, YYYY");
-  const endDate = dayjs(dateRange[dateRange.length - 1]).format("MMMM D, YYYY");
-
-  console.log(chalk.bold.green("📊 Wolt Order Statistics"));
-  console.log(chalk.bold.green(`📅 Date Range: ${startDate} - ${endDate}`));
-
-  // Basic Order Statistics
-  printSection("Basic Order Statistics");
+  return context;
+}
 
-  const totalOrders = processedOrders.length;
-  const totalItems = processedItems.length;
-  const totalSpent = processedOrders.reduce(
-    (sum, order) => sum + order.total_price_base,
-    0
-  );
+/**
+ * Stream every service's orders or items, upgraded to the current schema
+ * and validated. When redacting, ids, coordinates and amounts are redacted
+ * here; names are kept for aliases and categories, and replaced in the
+ * computed stats.
+ */
+async function streamRecords(context, kind, onRecord) {
+  const { redactor } = context;
+  const redact =
+    redactor && (kind === "orders" ? redactor.order : redactor.item);
+  for (const provider of context.providers) {
+    await streamDataFile(
+      provider,
+      kind,
+      (record) => onRecord(redact ? redact(record, { names: false }) : record),
+      { all: context.showAll }
+    );
+  }
+}
 
-  console.log(chalk.green(`📦 Total Orders: ${totalOrders}`));
-  console.log(chalk.green(`🍽️ Total Items: ${totalItems}`));
-  console.log(chalk.green(`💰 Total Spent: ${formatCurrency(totalSpent)}`));
-  console.log(
-    chalk.green(
-      `📊 Average Items per Order: ${(totalItems / totalOrders).toFixed(1)}`
-    )
-  );
-  console.log(
-    chalk.green(
-      `💵 Average Order Value: ${formatCurrency(totalSpent / totalOrders)}`
-    )
-  );
+/**
+ * Convert and compute stats for the orders within each period. Items are
+ * streamed from disk once and summarized per period as they are read, so
+ * the items file never has to fit in memory.
+ */
+async function getPeriodStats(context, orders, periods) {
+  const periodOrders = [];
+  for (const selectedPeriod of periods) {
+    periodOrders.push(
+      await convertOrders(filterByPeriod(orders, selectedPeriod))
+    );
+  }
 
-  // Calculate orders per month
-  const monthsBetween =
-    dayjs(dateRange[dateRange.length - 1]).diff(dayjs(dateRange[0]), "month") +
-    1;
-  console.log(
-    chalk.green(
-      `📈 Average Orders per Month: ${(totalOrders / monthsBetween).toFixed(1)}`
-    )
+  const itemSummaries = periodOrders.map((converted) =>
+    createItemSummary(converted, {
+      getName: context.normalizer.item,
+      classifier: context.classifier,
+    })
   );
-
-  // Time-based Analysis
-  printSection("Time-based Analysis");
-
-  const ordersByMonth = processedOrders.reduce((acc, order) => {
-    const month = order["year-month"];
-    acc[month] = (acc[month] || 0) + 1;
-    return acc;
-  }, {});
-
-  const mostOrderedMonth = Object.entries(ordersByMonth).sort(
-    (a, b) => b[1] - a[1]
-  )[0];
-
-  console.log(
-    chalk.yellow(
-      `📅 Most Active Month: ${mostOrderedMonth[0]} (${mostOrderedMonth[1]} orders)`
-    )
+  await streamRecords(context, "items", (item) =>
+    itemSummaries.forEach((summary) => summary.add(item))
   );
 
-  // Add day of week analysis
-  const ordersByDay = processedOrders.reduce((acc, order) => {
-    const day = dayjs(order.delivery_time).format("dddd");
-    acc[day] = (acc[day] || 0) + 1;
-    return acc;
-  }, {});
-
-  const mostOrderedDay = Object.entries(ordersByDay).sort(
-    (a, b) => b[1] - a[1]
-  )[0];
+  return periods.map((selectedPeriod, index) => {
+    const stats = computeStats(periodOrders[index], itemSummaries[index], {
+      baseCurrency: BASE_CURRENCY,
+      period: describePeriod(selectedPeriod),
+      home: context.home,
+      budget: context.budget,
+      serviceLabels: context.serviceLabels,
+      amount: context.amount,
+    });
+    return context.redactor
+      ? {
+          ...context.redactor.replaceNames(stats),
+          redaction: describeRedaction(context.redaction),
+        }
+      : stats;
+  });
+}
 
-  console.log(
-    chalk.yellow(
-      `📆 Most Active Day: ${mostOrderedDay[0]} (${mostOrderedDay[1]} orders)`
-    )
+/**
+ * Report amounts that were not converted exactly. Returns false when
+ * --strict is set and some amounts could not be converted at all.
+ */
+function checkConversions(statsList, strict) {
+  const unconverted = statsList.reduce(
+    (sum, stats) => sum + stats.conversion.statuses.unconverted,
+    0
   );
 
-  // Venue Analysis
-  printSection("Venue Analysis");
-
-  const venueStats = processedOrders.reduce((acc, order) => {
-    const venue = order.venue_name_fixed;
-    acc[venue] = acc[venue] || { count: 0, total: 0 };
-    acc[venue].count++;
-    acc[venue].total += order.total_price_base;
-    return acc;
-  }, {});
-
-  const favoriteVenues = Object.entries(venueStats)
-    .sort((a, b) => b[1].count - a[1].count)
-    .slice(0, 5);
-
-  console.log(chalk.magenta("🏪 Top 5 Most Ordered Places:"));
-  favoriteVenues.forEach(([venue, stats], index) => {
-    console.log(
-      chalk.magenta(
-        `   ${index + 1}. ${venue} (${stats.count} orders, ${formatCurrency(
-          stats.total
-        )})`
-      )
+  for (const stats of statsList) {
+    describeAudit(stats.conversion, BASE_CURRENCY, stats.period.label).forEach(
+      (line) =>
+        console.error(
+          strict && unconverted ? chalk.red(line) : chalk.yellow(line)
+        )
     );
-  });
-
-  // Item Analysis
-  printSection("Item Analysis");
+  }
 
-  const itemStats = processedItems.reduce((acc, item) => {
-    const name = item.name;
-    acc[name] = acc[name] || { count: 0, total: 0 };
-    acc[name].count += item.count;
-    acc[name].total += item.price_base * item.count;
-    return acc;
-  }, {});
+  if (strict && unconverted) {
+    console.error(
+      `Error: ${unconverted} amounts could not be converted to ${BASE_CURRENCY} (--strict)`
+    );
+    process.exitCode = 1;
+    return false;
+  }
+  return true;
+}
 
-  const favoriteItems = Object.entries(itemStats)
-    .sort((a, b) => b[1].count - a[1].count)
-    .slice(0, 5);
+/**
+ * Confirm that a redacted report has no raw identifiers left. Returns
+ * false, with a non-zero exit code, when it does.
+ */
+function checkRedaction(redactor, report) {
+  if (!redactor) return true;
+  const leaks = redactor.findLeaks(report);
+  if (!leaks.length) return true;
+
+  console.error(
+    `Error: the redacted report still contains raw identifiers (${leaks
+      .map((leak) => `"${leak}"`)
+      .join(", ")}), so it was not written`
+  );
+  process.exitCode = 1;
+  return false;
+}
 
-  console.log(chalk.cyan("🍔 Top 5 Most Ordered Items:"));
-  favoriteItems.forEach(([item, stats], index) => {
-    console.log(
-      chalk.cyan(
-        `   ${index + 1}. ${item} (ordered ${
-          stats.count
-        } times, ${formatCurrency(stats.total)})`
+/**
+ * Warn about budgets the current month is projected to go over, with a
+ * non-zero exit code so that scripts can act on it
+ */
+function checkBudget(stats) {
+  const overspends = getOverspends(stats.budget);
+  overspends.forEach(({ name, projected, budget: amount }) => {
+    console.error(
+      chalk.red(
+        `⚠️ ${
+          stats.budget.current.month
+        } is projected to go over the ${name}: ${formatCurrency(
+          projected
+        )} of ${formatCurrency(amount)}`
       )
     );
   });
+  if (overspends.length) process.exitCode = 1;
+}
 
-  // Spending Patterns
-  printSection("Spending Patterns");
-
-  // Monthly spending analysis
-  const monthlySpending = processedOrders.reduce((acc, order) => {
-    const month = order["year-month"];
-    acc[month] = acc[month] || { total: 0, count: 0, items: 0 };
-    acc[month].total += order.total_price_base;
-    acc[month].count++;
-    acc[month].items += processedItems
-      .filter((item) => item.order_id === order.order_id)
-      .reduce((sum, item) => sum + item.count, 0);
-    return acc;
-  }, {});
-
-  const monthlyStats = Object.entries(monthlySpending).map(
-    ([month, stats]) => ({
-      month,
-      total: stats.total,
-      count: stats.count,
-      items: stats.items,
-      avgPerOrder: stats.total / stats.count,
-      avgItemsPerOrder: stats.items / stats.count,
-    })
-  );
-
-  // Sort by total spending
-  const topSpendingMonth = monthlyStats.sort((a, b) => b.total - a.total)[0];
-  const lowestSpendingMonth = monthlyStats.sort((a, b) => a.total - b.total)[0];
-
-  // Calculate averages
-  const avgMonthlySpending =
-    monthlyStats.reduce((sum, month) => sum + month.total, 0) /
-    monthlyStats.length;
-  const avgMonthlyOrders =
-    monthlyStats.reduce((sum, month) => sum + month.count, 0) /
-    monthlyStats.length;
-  const avgMonthlyItems =
-    monthlyStats.reduce((sum, month) => sum + month.items, 0) /
-    monthlyStats.length;
-
-  console.log(chalk.red("💰 Monthly Spending Analysis:"));
-  console.log(chalk.red(`   Top Spending Month: ${topSpendingMonth.month}`));
-  console.log(
-    chalk.red(`      Total: ${formatCurrency(topSpendingMonth.total)}`)
-  );
-  console.log(chalk.red(`      Orders: ${topSpendingMonth.count}`));
-  console.log(chalk.red(`      Items: ${topSpendingMonth.items}`));
-  console.log(
-    chalk.red(
-      `      Average per Order: ${formatCurrency(topSpendingMonth.avgPerOrder)}`
-    )
-  );
-
-  console.log(
-    chalk.red(`\n   Lowest Spending Month: ${lowestSpendingMonth.month}`)
-  );
-  console.log(
-    chalk.red(`      Total: ${formatCurrency(lowestSpendingMonth.total)}`)
-  );
-  console.log(chalk.red(`      Orders: ${lowestSpendingMonth.count}`));
-  console.log(chalk.red(`      Items: ${lowestSpendingMonth.items}`));
-  console.log(
-    chalk.red(
-      `      Average per Order: ${formatCurrency(
-        lowestSpendingMonth.avgPerOrder
-      )}`
-    )
-  );
-
-  console.log(chalk.red("\n   Monthly Averages:"));
-  console.log(
-    chalk.red(`      Spending: ${formatCurrency(avgMonthlySpending)}`)
-  );
-  console.log(chalk.red(`      Orders: ${avgMonthlyOrders.toFixed(1)}`));
-  console.log(chalk.red(`      Items: ${avgMonthlyItems.toFixed(1)}`));
-
-  // Original spending patterns section
-  const avgSpendingByMonth = monthlyStats.sort(
-    (a, b) => b.avgPerOrder - a.avgPerOrder
-  );
-
-  console.log(chalk.red("\n💳 Order Value Patterns:"));
-  console.log(
-    chalk.red(
-      `   Highest Average Order: ${
-        avgSpendingByMonth[0].month
-      } (${formatCurrency(avgSpendingByMonth[0].avgPerOrder)} per order)`
-    )
-  );
-  console.log(
-    chalk.red(
-      `   Lowest Average Order: ${
-        avgSpendingByMonth[avgSpendingByMonth.length - 1].month
-      } (${formatCurrency(
-        avgSpendingByMonth[avgSpendingByMonth.length - 1].avgPerOrder
-      )} per order)`
-    )
-  );
-
-  // Fun Facts
-  printSection("Fun Facts");
-
-  const mostExpensiveOrder = processedOrders.sort(
-    (a, b) => b.total_price_base - a.total_price_base
-  )[0];
-  const cheapestOrder = processedOrders
-    .filter((order) => order.total_price_base > 0)
-    .sort((a, b) => a.total_price_base - b.total_price_base)[0];
-  const mostItemsInOrder = processedOrders
-    .map((order) => ({
-      ...order,
-      itemCount: processedItems
-        .filter((item) => item.order_id === order.order_id)
-        .reduce((sum, item) => sum + item.count, 0),
-    }))
-    .sort((a, b) => b.itemCount - a.itemCount)[0];
-
-  console.log(chalk.hex("#FFA500")("🏆 Most Expensive Order:"));
-  console.log(
-    chalk.hex("#FFA500")(
-      `   ${formatCurrency(mostExpensiveOrder.total_price_base)} at ${
-        mostExpensiveOrder.venue_name_fixed
-      }`
-    )
-  );
-  console.log(
-    chalk.hex("#FFA500")(
-      `   Date: ${dayjs(mostExpensiveOrder.delivery_time).format(
-        "MMMM D, YYYY"
-      )}`
-    )
-  );
-
-  console.log(chalk.hex("#FFA500")("\n🎯 Most Items in One Order:"));
-  console.log(
-    chalk.hex("#FFA500")(
-      `   ${mostItemsInOrder.itemCount} items at ${mostItemsInOrder.venue_name_fixed}`
-    )
-  );
-  console.log(
-    chalk.hex("#FFA500")(
-      `   Total: ${formatCurrency(mostItemsInOrder.total_price_base)}`
-    )
-  );
+// Write a report to --out or stdout
+const writeReport = ({ outFile, format }, report) => {
+  if (outFile) {
+    writeFileAtomic(outFile, report);
+    console.error(`Saved ${format} report to ${outFile}`);
+  } else {
+    process.stdout.write(report);
+  }
+};
 
-  console.log(chalk.hex("#FFA500")("\n💝 Budget-Friendly Order:"));
-  console.log(
-    chalk.hex("#FFA500")(
-      `   ${formatCurrency(cheapestOrder.total_price_base)} at ${
-        cheapestOrder.venue_name_fixed
-      }`
-    )
+/**
+ * Compute and write the stats report, or a comparison of two periods
+ */
+async function generateStats(options) {
+  const context = createContext(options);
+  const { period, comparisonPeriod, format, table, outFile, strict } = context;
+
+  // No color codes in files
+  if (outFile) chalk.level = 0;
+
+  const rawOrders = [];
+  await streamRecords(context, "orders", (order) => rawOrders.push(order));
+  const orders = selectAmount(
+    localizeOrders(normalizeOrders(rawOrders, context.normalizer)),
+    context.amount
   );
 
-  // Currency Distribution
-  printSection("Currency Distribution");
-
-  const currencyStats = processedOrders.reduce((acc, order) => {
-    acc[order.currency] = acc[order.currency] || {
-      count: 0,
-      total: 0,
-      total_base: 0,
-    };
-    acc[order.currency].count++;
-    acc[order.currency].total += order.total_price;
-    acc[order.currency].total_base += order.total_price_base;
-    return acc;
-  }, {});
-
-  console.log(chalk.yellow("💱 Orders by Currency:"));
-  Object.entries(currencyStats).forEach(([currency, stats]) => {
-    console.log(
-      chalk.yellow(
-        `   ${currency}: ${stats.count} orders (${formatCurrency(
-          stats.total,
-          currency
-        )} / ${formatCurrency(stats.total_base)})`
-      )
+  if (!comparisonPeriod && !filterByPeriod(orders, period).some(isDelivered)) {
+    console.error(
+      period
+        ? `No delivered orders found for ${period.label}`
+        : "No delivered orders found"
     );
-  });
+    return;
+  }
+
+  // Convert all amounts to base currency. Progress goes to stderr so that
+  // stdout only carries the report.
+  console.error(`Converting all amounts to ${BASE_CURRENCY}...`);
+
+  if (comparisonPeriod) {
+    const [current, previous] = await getPeriodStats(context, orders, [
+      period,
+      comparisonPeriod,
+    ]);
+    saveExchangeRateCache();
+    if (!checkConversions([current, previous], strict)) return;
+
+    const comparison = compareStats(current, previous);
+    if (!checkRedaction(context.redactor, comparison)) return;
+    writeReport(context, renderComparison(comparison, format, { table }));
+    checkBudget(current);
+    return;
+  }
+
+  const [stats] = await getPeriodStats(context, orders, [period]);
+  saveExchangeRateCache();
+  if (!checkConversions([stats], strict)) return;
+  if (!checkRedaction(context.redactor, stats)) return;
+
+  writeReport(context, render(stats, format, { table }));
+  checkBudget(stats);
 }
 
-// Run the stats generation
-generateStats().catch(console.error);
+const command = {
+  name: "stats",
+  description: "Print statistics for the exported orders",
+  options: OPTIONS,
+  run: generateStats,
+};
+
+if (require.main === module) runScript(command, __filename);
+
+module.exports = { command };
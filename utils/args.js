@@ -0,0 +1,166 @@
+// Option name as a property name: "from-raw" → "fromRaw"
+const toKey = (name) =>
+  name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Check and convert an option value by the option's type
+const parseValue = (name, option, value) => {
+  if (option.type === "number") {
+    const number = Number(value);
+    if (value === "" || Number.isNaN(number)) {
+      throw new Error(`--${name} expects a number, got "${value}"`);
+    }
+    return number;
+  }
+  if (option.choices && !option.choices.includes(value)) {
+    throw new Error(
+      `Unknown value "${value}" for --${name}, expected one of: ${option.choices.join(
+        ", "
+      )}`
+    );
+  }
+  return value;
+};
+
+/**
+ * Parse command line arguments against option definitions:
+ * { name: { type: "boolean" | "string" | "number", description, choices,
+ * default, optional, placeholder } }. Values follow the option
+ * (`--out file`) or an equals sign (`--out=file`); an option with an
+ * `optional` value takes that value when none follows. A boolean option is
+ * turned off with `--no-<name>`, e.g. over a config file. Unknown options
+ * and invalid values throw. Returns { options, positionals }, options keyed in
+ * camelCase with `defaults` (e.g. from a config file) applied before the
+ * options' own defaults.
+ */
+function parseArgs(argv, definitions, defaults = {}) {
+  const options = {};
+  const positionals = [];
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith("--") || arg === "--") {
+      if (arg !== "--") positionals.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const negated = name.startsWith("no-") ? name.slice(3) : null;
+    if (!definitions[name] && definitions[negated]?.type === "boolean") {
+      if (inlineValue !== undefined) {
+        throw new Error(`--${name} does not take a value`);
+      }
+      options[toKey(negated)] = false;
+      continue;
+    }
+
+    const option = definitions[name];
+    if (!option) throw new Error(`Unknown option --${name}`);
+
+    if (option.type === "boolean") {
+      if (inlineValue !== undefined) {
+        throw new Error(`--${name} does not take a value`);
+      }
+      options[toKey(name)] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = argv[index + 1];
+      if (next !== undefined && !next.startsWith("--")) {
+        value = next;
+        index++;
+      } else if (option.optional !== undefined) {
+        value = option.optional;
+      } else {
+        throw new Error(`--${name} needs a value`);
+      }
+    }
+    options[toKey(name)] = parseValue(name, option, value);
+  }
+
+  for (const [name, option] of Object.entries(definitions)) {
+    const key = toKey(name);
+    if (options[key] !== undefined) continue;
+    if (defaults[key] !== undefined) {
+      options[key] = defaults[key];
+    } else if (option.default !== undefined) {
+      options[key] = option.default;
+    } else if (option.type === "boolean") {
+      options[key] = false;
+    }
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Check option defaults read from a config file against the option
+ * definitions, naming `source` in errors. Keys may be written as on the
+ * command line ("from-raw") or in camelCase.
+ */
+function parseDefaults(values, definitions, source) {
+  const keys = Object.fromEntries(
+    Object.keys(definitions).map((name) => [toKey(name), name])
+  );
+  const defaults = {};
+  for (const [key, value] of Object.entries(values)) {
+    const name = keys[toKey(key)];
+    if (!name) throw new Error(`Unknown option "${key}" in ${source}`);
+
+    const option = definitions[name];
+    const expected = option.type === "string" ? "string" : option.type;
+    if (typeof value !== expected) {
+      throw new Error(`"${key}" in ${source} must be a ${expected}`);
+    }
+    try {
+      defaults[toKey(name)] =
+        option.type === "boolean" ? value : parseValue(name, option, value);
+    } catch (error) {
+      throw new Error(`${error.message} (in ${source})`);
+    }
+  }
+  return defaults;
+}
+
+/**
+ * Usage text for a command: its description, positional arguments and
+ * options with their defaults
+ */
+function formatHelp(usage, description, definitions) {
+  const rows = Object.entries(definitions).map(([name, option]) => {
+    const placeholder =
+      option.type === "boolean"
+        ? ""
+        : option.optional !== undefined
+        ? ` [${option.placeholder || "value"}]`
+        : ` <${option.placeholder || "value"}>`;
+    const details = [
+      option.choices && `one of: ${option.choices.join(", ")}`,
+      option.default !== undefined && `default: ${option.default}`,
+    ].filter(Boolean);
+    return [
+      `--${name}${placeholder}`,
+      `${option.description}${
+        details.length ? ` (${details.join("; ")})` : ""
+      }`,
+    ];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+
+  return [
+    `Usage: ${usage}`,
+    "",
+    description,
+    "",
+    "Options:",
+    ...rows.map(([flag, text]) => `  ${flag.padEnd(width)}  ${text}`.trimEnd()),
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  formatHelp,
+  parseArgs,
+  parseDefaults,
+};
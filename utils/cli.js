@@ -0,0 +1,129 @@
+const path = require("path");
+const { formatHelp, parseArgs, parseDefaults } = require("./args");
+const { CONFIG_FILE, ROOT_DIR, resolvePath, setDataDir } = require("./paths");
+const { readJson } = require("./storage");
+
+// Options every command accepts
+const GLOBAL_OPTIONS = {
+  "data-dir": {
+    type: "string",
+    placeholder: "dir",
+    description:
+      "Directory with the exported data (default: data/ in the repository)",
+  },
+  config: {
+    type: "string",
+    placeholder: "file",
+    description: `Config file with per-user defaults (default: ${CONFIG_FILE})`,
+  },
+  help: { type: "boolean", description: "Show this help" },
+};
+
+// Error codes of problems the user can fix, reported without a stack trace
+const REPORTED_ERRORS = ["EINVALIDDATA", "EENCRYPTION"];
+
+/**
+ * Read the config file: { dataDir, <command>: { option: value } }, where
+ * each command section sets defaults for that command's options (e.g.
+ * { "stats": { "all": true, "format": "markdown" } }). A relative dataDir
+ * is resolved against the config file's directory. The default file is
+ * optional; one given with --config must exist.
+ */
+function loadConfig(file = CONFIG_FILE, required = false) {
+  const config = readJson(file, null);
+  if (config === null) {
+    if (required) throw new Error(`Config file ${file} not found`);
+    return {};
+  }
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${file} must contain an object`);
+  }
+  if (config.dataDir !== undefined && typeof config.dataDir !== "string") {
+    throw new Error(`dataDir in ${file} must be a path`);
+  }
+  for (const [key, value] of Object.entries(config)) {
+    if (key === "dataDir") continue;
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error(`"${key}" in ${file} must be an object of options`);
+    }
+  }
+  return {
+    ...config,
+    ...(config.dataDir && {
+      dataDir: resolvePath(config.dataDir, path.dirname(file)),
+    }),
+  };
+}
+
+/**
+ * Parse the arguments of a command ({ name, description, usage, options,
+ * run }) with its config defaults, set up the data directory and run it
+ * with (options, positionals). `program` is how the command is invoked,
+ * for the help text. Argument, config and data file errors exit non-zero.
+ */
+async function runCommand(command, argv, program) {
+  const definitions = { ...command.options, ...GLOBAL_OPTIONS };
+  const usage = `${program}${
+    command.usage ? ` ${command.usage}` : ""
+  } [options]`;
+
+  if (argv.includes("--help") || argv.includes("-h")) {
+    process.stdout.write(formatHelp(usage, command.description, definitions));
+    return;
+  }
+
+  let parsed;
+  try {
+    const { options } = parseArgs(argv, definitions);
+    const configFile = options.config
+      ? path.resolve(options.config)
+      : undefined;
+    const config = loadConfig(configFile, !!configFile);
+    const defaults = parseDefaults(
+      config[command.name] || {},
+      command.options,
+      `${configFile || CONFIG_FILE} (${command.name})`
+    );
+    parsed = parseArgs(argv, definitions, defaults);
+    if (parsed.positionals.length && !command.usage) {
+      throw new Error(`Unexpected argument "${parsed.positionals[0]}"`);
+    }
+
+    const dataDir = parsed.options.dataDir ?? config.dataDir;
+    if (dataDir) setDataDir(dataDir);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(`Run ${program} --help for the available options`);
+    process.exit(1);
+  }
+
+  try {
+    await command.run(parsed.options, parsed.positionals);
+  } catch (error) {
+    // Invalid data files and missing or wrong keys are reported like
+    // invalid options
+    if (!REPORTED_ERRORS.includes(error.code)) throw error;
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run a command from its own script, e.g. `node food/wolt-stats.js --all`
+ */
+function runScript(command, script) {
+  runCommand(
+    command,
+    process.argv.slice(2),
+    `node ${path.relative(ROOT_DIR, script)}`
+  ).catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  loadConfig,
+  runCommand,
+  runScript,
+};
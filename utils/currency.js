@@ -1,16 +1,16 @@
-require("dotenv").config();
+const { ENV_FILE, dataPath } = require("./paths");
+require("dotenv").config({ path: ENV_FILE });
 
-const fs = require("fs");
-const path = require("path");
-const axios = require("axios");
 const dayjs = require("dayjs");
+const { getProviderChain } = require("./rate-providers");
+const { readJson, writeJson } = require("./storage");
 
-const CACHE_FILE = path.join(__dirname, "../data/exchange_rates_cache.json");
+// Rate cache, relative to the data directory
+const CACHE_FILE = "exchange_rates_cache.json";
 const BASE_CURRENCY = process.env.BASE_CURRENCY || "KZT";
-const INTERMEDIATE_CURRENCY = "EUR";
-const EXCHANGE_API_URL = "https://api.exchangeratesapi.io/v1";
 
-// Cache duration in milliseconds (24 hours)
+// How long rates for today, and latest rates standing in for a missing
+// historical rate, are reused (24 hours). Historical rates never expire.
 const CACHE_DURATION = 24 * 60 * 60 * 1000;
 
 // Check if API key is available
@@ -18,167 +18,268 @@ const hasApiKey = () => {
   return !!process.env.EXCHANGE_RATES_API_KEY;
 };
 
-// Ensure cache directory exists
-const ensureCacheDir = () => {
-  const dir = path.dirname(CACHE_FILE);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+// How the rate behind a converted amount was obtained
+const RATE_STATUS = {
+  CONVERTED: "converted", // rate for the day from a provider
+  STALE: "stale", // expired cache entry, providers had nothing
+  LATEST: "latest", // current rate standing in for the day's rate
+  UNCONVERTED: "unconverted", // no rate at all
+};
+
+// Rates by `${currency}_${date}`, loaded once per process
+let cache = null;
+let cacheChanged = false;
+
+// Lookups in progress by `${currency}_${date}`, so concurrent callers share
+// a single provider request
+const pending = new Map();
+
+// Stale and missing rates by `${currency}_${date}`, so providers are only
+// asked for them once per run
+const fallbacks = new Map();
+
+// Entries cached before they were marked historical or not: rates for a
+// day before the one they were fetched on are historical and kept for good
+const markLegacyEntries = (entries) => {
+  for (const [cacheKey, entry] of Object.entries(entries)) {
+    if (entry?.historical !== undefined || !entry?.timestamp) continue;
+    const date = cacheKey.slice(cacheKey.lastIndexOf("_") + 1);
+    entry.historical = date < dayjs(entry.timestamp).format("YYYY-MM-DD");
   }
+  return entries;
 };
 
-// Load cached rates
-const loadCache = () => {
-  try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const cache = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8"));
-      return cache;
+const getCache = () => {
+  if (!cache) {
+    try {
+      cache = markLegacyEntries(readJson(dataPath(CACHE_FILE), {}));
+    } catch (error) {
+      console.error("Error loading exchange rate cache:", error.message);
+      cache = {};
     }
-  } catch (error) {
-    console.error("Error loading exchange rate cache:", error);
   }
-  return {};
+  return cache;
 };
 
-// Save rates to cache
-const saveCache = (cache) => {
+/**
+ * Write the exchange rate cache if any rates were added. Call once when
+ * done converting; the file is replaced atomically.
+ */
+function saveExchangeRateCache() {
+  if (!cacheChanged) return;
   try {
-    ensureCacheDir();
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
+    writeJson(dataPath(CACHE_FILE), cache);
+    cacheChanged = false;
   } catch (error) {
-    console.error("Error saving exchange rate cache:", error);
+    console.error("Error saving exchange rate cache:", error.message);
   }
-};
+}
 
-// Get exchange rate for a specific date
-async function getExchangeRate(fromCurrency, date) {
-  if (fromCurrency === BASE_CURRENCY) return 1;
+// Cached rate that can be used without asking providers again
+const getCachedRate = (cacheKey) => {
+  const entry = getCache()[cacheKey];
+  if (!entry?.rate) return null;
+  if (entry.historical || Date.now() - entry.timestamp < CACHE_DURATION) {
+    return {
+      rate: entry.rate,
+      status: entry.latest ? RATE_STATUS.LATEST : RATE_STATUS.CONVERTED,
+    };
+  }
+  return null;
+};
 
-  const dateStr = dayjs(date).format("YYYY-MM-DD");
-  const cacheKey = `${fromCurrency}_${dateStr}`;
+const setCachedRate = (cacheKey, rate, historical, latest = false) => {
+  getCache()[cacheKey] = {
+    rate,
+    timestamp: Date.now(),
+    historical,
+    ...(latest && { latest }),
+  };
+  cacheChanged = true;
+};
 
-  // Load cache
-  const cache = loadCache();
+// Ask providers in order for the missing rates of a day, each provider
+// getting all currencies it has not been given yet in one request
+const fetchProviderRates = async (currencies, dateStr, getRates) => {
+  const rates = {};
+  for (const provider of getProviderChain()) {
+    const missing = currencies.filter((currency) => !rates[currency]);
+    if (!missing.length) break;
 
-  // Check if cache is valid (not older than 24 hours)
-  if (cache[cacheKey] && cache[cacheKey].timestamp) {
-    const cacheAge = Date.now() - cache[cacheKey].timestamp;
-    if (cacheAge < CACHE_DURATION) {
-      return cache[cacheKey].rate;
-    }
-  }
-
-  // If no API key, use cached rate or return null
-  if (!hasApiKey()) {
-    if (cache[cacheKey]?.rate) {
-      console.log(
-        `Using cached rate for ${fromCurrency} from ${dateStr} (no API key)`
+    try {
+      const found = await getRates(provider, missing);
+      if (!found) continue;
+      for (const currency of missing) {
+        if (!found[currency]) continue;
+        rates[currency] = found[currency];
+        console.error(
+          `1 ${currency} = ${found[currency]} ${BASE_CURRENCY} on ${dateStr} (${provider.name})`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `\nError fetching exchange rates for ${missing.join(
+          ", "
+        )} on ${dateStr} from ${provider.name}:`,
+        error.message
       );
-      return cache[cacheKey].rate;
     }
-    console.log(
-      `No API key available and no cached rate for ${fromCurrency} on ${dateStr}`
-    );
-    return null;
   }
+  return rates;
+};
 
-  try {
-    // Get rates for both currencies relative to EUR
-    const response = await axios.get(`${EXCHANGE_API_URL}/${dateStr}`, {
-      params: {
-        access_key: process.env.EXCHANGE_RATES_API_KEY,
-        base: INTERMEDIATE_CURRENCY,
-        symbols: `${fromCurrency},${BASE_CURRENCY}`,
-      },
-    });
-
-    console.log(`\nExchange rates API response for ${dateStr}:`);
-    console.log(JSON.stringify(response.data, null, 2));
-
-    if (response.data?.rates) {
-      const fromRate = response.data.rates[fromCurrency];
-      const toRate = response.data.rates[BASE_CURRENCY];
-
-      if (fromRate && toRate) {
-        // Calculate rate through EUR
-        // If we have 1 EUR = X USD and 1 EUR = Y KZT
-        // Then 1 USD = (Y/X) KZT
-        const rate = toRate / fromRate;
-
-        // Update cache with timestamp
-        cache[cacheKey] = {
-          rate,
-          timestamp: Date.now(),
-        };
-        saveCache(cache);
-
-        console.log(
-          `\nCalculated rate for ${fromCurrency} to ${BASE_CURRENCY}:`
-        );
-        console.log(`1 ${fromCurrency} = ${rate} ${BASE_CURRENCY}`);
-        console.log(`(1 EUR = ${fromRate} ${fromCurrency})`);
-        console.log(`(1 EUR = ${toRate} ${BASE_CURRENCY})`);
+// Look up rates for a day that are not cached: historical rates first,
+// then the latest rates, then stale cache entries
+const fetchRates = async (currencies, dateStr) => {
+  const historical = dateStr < dayjs().format("YYYY-MM-DD");
+  const results = {};
+
+  const rates = await fetchProviderRates(
+    currencies,
+    dateStr,
+    (provider, missing) => provider.getRates(dateStr, missing, BASE_CURRENCY)
+  );
+  for (const [currency, rate] of Object.entries(rates)) {
+    setCachedRate(`${currency}_${dateStr}`, rate, historical);
+    results[currency] = { rate, status: RATE_STATUS.CONVERTED };
+  }
 
-        return rate;
-      }
+  const withoutRate = currencies.filter((currency) => !results[currency]);
+  if (withoutRate.length) {
+    const latest = await fetchProviderRates(
+      withoutRate,
+      "latest",
+      (provider, missing) => provider.getLatestRates?.(missing, BASE_CURRENCY)
+    );
+    for (const [currency, rate] of Object.entries(latest)) {
+      // Latest rates only stand in until the historical one is available
+      setCachedRate(`${currency}_${dateStr}`, rate, false, true);
+      results[currency] = { rate, status: RATE_STATUS.LATEST };
     }
+  }
 
-    // If historical rate fails, try latest rate
-    try {
-      const response = await axios.get(`${EXCHANGE_API_URL}/latest`, {
-        params: {
-          access_key: process.env.EXCHANGE_RATES_API_KEY,
-          base: INTERMEDIATE_CURRENCY,
-          symbols: `${fromCurrency},${BASE_CURRENCY}`,
-        },
-      });
-
-      if (response.data?.rates) {
-        const fromRate = response.data.rates[fromCurrency];
-        const toRate = response.data.rates[BASE_CURRENCY];
-
-        if (fromRate && toRate) {
-          const rate = toRate / fromRate;
-
-          // Update cache with timestamp
-          cache[cacheKey] = {
-            rate,
-            timestamp: Date.now(),
-          };
-          saveCache(cache);
-
-          console.log(
-            `\nUsing latest calculated rate for ${fromCurrency} to ${BASE_CURRENCY}:`
-          );
-          console.log(`1 ${fromCurrency} = ${rate} ${BASE_CURRENCY}`);
-          console.log(`(1 EUR = ${fromRate} ${fromCurrency})`);
-          console.log(`(1 EUR = ${toRate} ${BASE_CURRENCY})`);
-
-          return rate;
-        }
-      }
-    } catch (error) {
+  for (const currency of currencies) {
+    if (results[currency]) continue;
+
+    // If we have any cached rate, use it as fallback
+    const stale = getCache()[`${currency}_${dateStr}`]?.rate;
+    if (stale) {
+      console.error(`Using cached rate for ${currency} from ${dateStr}`);
+      results[currency] = { rate: stale, status: RATE_STATUS.STALE };
+      fallbacks.set(`${currency}_${dateStr}`, results[currency]);
+    } else {
       console.error(
-        `\nError fetching latest exchange rate for ${fromCurrency}:`,
-        error.message
+        `No exchange rate provider and no cached rate for ${currency} on ${dateStr}`
       );
+      results[currency] = { rate: null, status: RATE_STATUS.UNCONVERTED };
+      fallbacks.set(`${currency}_${dateStr}`, results[currency]);
     }
+  }
+  return results;
+};
 
-    // If we have any cached rate, use it as fallback
-    if (cache[cacheKey]?.rate) {
-      console.log(`Using cached rate for ${fromCurrency} from ${dateStr}`);
-      return cache[cacheKey].rate;
+/**
+ * Look up exchange rates to the base currency for several currencies on
+ * one day. Rates missing from the cache are fetched together, and
+ * currencies already being looked up reuse that request. Returns
+ * { currency: { rate, status } } with a RATE_STATUS per currency and a
+ * null rate when none is available.
+ */
+async function getExchangeRateInfos(currencies, date) {
+  const dateStr = dayjs(date).format("YYYY-MM-DD");
+  const infos = {};
+  const missing = [];
+  // Lookups to wait for by currency, taken now: a request another caller
+  // started may settle, and leave `pending`, while earlier ones are awaited
+  const requests = new Map();
+
+  for (const currency of new Set(currencies)) {
+    const cacheKey = `${currency}_${dateStr}`;
+    const cached =
+      currency === BASE_CURRENCY
+        ? { rate: 1, status: RATE_STATUS.CONVERTED }
+        : getCachedRate(cacheKey);
+    if (cached) {
+      infos[currency] = cached;
+    } else if (fallbacks.has(cacheKey)) {
+      infos[currency] = fallbacks.get(cacheKey);
+    } else if (pending.has(cacheKey)) {
+      requests.set(currency, pending.get(cacheKey));
+    } else {
+      missing.push(currency);
     }
-  } catch (error) {
-    console.error(
-      `\nError fetching exchange rate for ${fromCurrency} on ${dateStr}:`,
-      error.message
-    );
   }
 
-  return null;
+  if (missing.length) {
+    const request = fetchRates(missing, dateStr);
+    for (const currency of missing) {
+      const cacheKey = `${currency}_${dateStr}`;
+      const lookup = request
+        .then((fetched) => fetched[currency])
+        .finally(() => pending.delete(cacheKey));
+      pending.set(cacheKey, lookup);
+      requests.set(currency, lookup);
+    }
+  }
+
+  for (const [currency, lookup] of requests) {
+    infos[currency] = await lookup;
+  }
+  return infos;
+}
+
+// Get exchange rates for several currencies on one day ({ currency: rate })
+async function getExchangeRates(currencies, date) {
+  const infos = await getExchangeRateInfos(currencies, date);
+  return Object.fromEntries(
+    Object.entries(infos).map(([currency, info]) => [currency, info.rate])
+  );
+}
+
+// Get exchange rate for a specific date
+async function getExchangeRate(fromCurrency, date) {
+  return (await getExchangeRateInfos([fromCurrency], date))[fromCurrency].rate;
+}
+
+/**
+ * Fetch every rate needed for a list of [currency, date] pairs ahead of
+ * converting them, one request per day instead of one per amount
+ */
+async function preloadExchangeRates(pairs) {
+  const currenciesByDate = new Map();
+  for (const [currency, date] of pairs) {
+    if (!currency || date === undefined || date === null) continue;
+    const dateStr = dayjs(date).format("YYYY-MM-DD");
+    const currencies = currenciesByDate.get(dateStr) || new Set();
+    currenciesByDate.set(dateStr, currencies.add(currency));
+  }
+
+  // Days are looked up one after another to stay within API rate limits
+  for (const [dateStr, currencies] of currenciesByDate) {
+    await getExchangeRateInfos([...currencies], dateStr);
+  }
+}
+
+/**
+ * Convert an amount to the base currency, reporting how it was converted.
+ * Returns { amount, rate, status, date }; `amount` is null when no rate is
+ * available, so it can never be mistaken for a base-currency value.
+ */
+async function convertWithStatus(amount, fromCurrency, date) {
+  const dateStr = dayjs(date).format("YYYY-MM-DD");
+  const { rate, status } = (
+    await getExchangeRateInfos([fromCurrency], dateStr)
+  )[fromCurrency];
+
+  return {
+    amount: rate === null ? null : amount * rate,
+    rate,
+    status,
+    date: dateStr,
+  };
 }
 
-// Convert amount to base currency
+// Convert amount to base currency (the original amount if no rate is found)
 async function convertToBaseCurrency(amount, fromCurrency, date) {
   const rate = await getExchangeRate(fromCurrency, date);
   if (rate === null) {
@@ -213,7 +314,15 @@ function formatCurrency(amount, currency = BASE_CURRENCY) {
 
 module.exports = {
   BASE_CURRENCY,
+  CACHE_FILE,
+  RATE_STATUS,
   convertToBaseCurrency,
+  convertWithStatus,
   formatCurrency,
+  getExchangeRate,
+  getExchangeRateInfos,
+  getExchangeRates,
   hasApiKey,
+  preloadExchangeRates,
+  saveExchangeRateCache,
 };
@@ -0,0 +1,459 @@
+const { ENV_FILE, dataPath } = require("./paths");
+require("dotenv").config({ path: ENV_FILE });
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const { Transform } = require("stream");
+
+// Keyring, relative to the data directory: how the key is derived and its
+// id, never the key itself
+const KEYRING_FILE = "encryption.json";
+
+// Environment variables with the secret the key comes from
+const PASSPHRASE_ENV = "DATA_EXPORTS_PASSPHRASE";
+const KEY_FILE_ENV = "DATA_EXPORTS_KEY_FILE";
+
+const CIPHER = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const NONCE_PREFIX_LENGTH = 7;
+const TAG_LENGTH = 16;
+const KEY_ID_LENGTH = 8;
+
+// Encrypted files start with MAGIC, the format version, the id of their key
+// and a random nonce prefix. The contents follow in segments, each
+// encrypted and authenticated on its own so that large files can be
+// streamed without handing on anything unauthenticated. A segment's nonce
+// is the prefix, its number and whether it is the last one, so segments
+// cannot be reordered or cut off unnoticed.
+const MAGIC = Buffer.from("DXENC");
+const FORMAT_VERSION = 1;
+const HEADER_LENGTH = MAGIC.length + 1 + KEY_ID_LENGTH + NONCE_PREFIX_LENGTH;
+const SEGMENT_LENGTH = 64 * 1024;
+// Encrypted segment with its tag
+const SEALED_SEGMENT_LENGTH = SEGMENT_LENGTH + TAG_LENGTH;
+
+// scrypt cost for passphrases: about 32 MB and a tenth of a second, once
+// per run
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Ways to get a key: from a passphrase, or read from a key file
+const KDFS = ["scrypt", "key-file"];
+
+// Error about keys or encrypted files. Commands report it without a stack
+// trace, as it is the secret or the file that needs fixing.
+const encryptionError = (message) =>
+  Object.assign(new Error(message), { code: "EENCRYPTION" });
+
+// Public id of a key, to tell keys apart without revealing them
+const getKeyId = (key) =>
+  crypto
+    .createHmac("sha256", key)
+    .update("data-exports key id")
+    .digest()
+    .subarray(0, KEY_ID_LENGTH)
+    .toString("hex");
+
+// Read a key file: a base64 key (see generateKeyFile)
+const readKeyFile = (file) => {
+  if (!fs.existsSync(file)) throw encryptionError(`Key file ${file} not found`);
+  const key = Buffer.from(fs.readFileSync(file, "utf8").trim(), "base64");
+  if (key.length !== KEY_LENGTH) {
+    throw encryptionError(
+      `${file} must hold a base64 key of ${KEY_LENGTH} bytes, e.g. one made with --generate-key`
+    );
+  }
+  return key;
+};
+
+/**
+ * Write a new random key file, readable by the owner only. Existing files
+ * are never overwritten.
+ */
+function generateKeyFile(file) {
+  try {
+    fs.writeFileSync(
+      file,
+      `${crypto.randomBytes(KEY_LENGTH).toString("base64")}\n`,
+      { flag: "wx", mode: 0o600 }
+    );
+  } catch (error) {
+    if (error.code !== "EEXIST") throw error;
+    throw encryptionError(`${file} already exists, not replacing it`);
+  }
+}
+
+/**
+ * Secret for a keyring ({ passphrase } or { keyFile }), from the
+ * environment. Without a keyring, for a new one, either may be set.
+ */
+function readSecret(keyring = null) {
+  const passphrase = process.env[PASSPHRASE_ENV];
+  const keyFile = process.env[KEY_FILE_ENV];
+  const kdf =
+    keyring?.kdf ??
+    (passphrase && !keyFile ? "scrypt" : keyFile && !passphrase && "key-file");
+
+  if (kdf === "scrypt") {
+    if (!passphrase) {
+      throw encryptionError(
+        `The data is encrypted with a passphrase, set ${PASSPHRASE_ENV}`
+      );
+    }
+    return { passphrase };
+  }
+  if (kdf === "key-file") {
+    if (!keyFile) {
+      throw encryptionError(
+        `The data is encrypted with a key file, set ${KEY_FILE_ENV} to its path`
+      );
+    }
+    // A leading "~", as in .env, is the home directory
+    return { keyFile: keyFile.replace(/^~(?=$|\/)/, os.homedir()) };
+  }
+  throw encryptionError(
+    passphrase
+      ? `Set either ${PASSPHRASE_ENV} or ${KEY_FILE_ENV}, not both`
+      : `Set ${PASSPHRASE_ENV} or ${KEY_FILE_ENV} to encrypt the data`
+  );
+}
+
+// Key of a keyring entry from its secret, failing on the wrong secret
+const deriveKey = (entry, secret) => {
+  let key;
+  if (entry.kdf === "key-file") {
+    if (!secret.keyFile) {
+      throw encryptionError("This key is read from a key file, set one");
+    }
+    key = readKeyFile(secret.keyFile);
+  } else {
+    if (!secret.passphrase) {
+      throw encryptionError("This key is derived from a passphrase, set one");
+    }
+    const { salt, N, r, p } = entry;
+    key = crypto.scryptSync(
+      secret.passphrase,
+      Buffer.from(salt, "base64"),
+      KEY_LENGTH,
+      { N, r, p, maxmem: SCRYPT_MAXMEM }
+    );
+  }
+  if (getKeyId(key) !== entry.key_id) {
+    throw encryptionError(
+      secret.keyFile
+        ? `${secret.keyFile} is not the key the data is encrypted with`
+        : "Wrong passphrase for the encrypted data"
+    );
+  }
+  return key;
+};
+
+/**
+ * New keyring entry for a secret (see readKeyring), to unlock with the
+ * same secret. Passphrases get a random salt.
+ */
+function createKeyEntry(secret) {
+  if (secret.keyFile) {
+    const key = readKeyFile(secret.keyFile);
+    return { kdf: "key-file", key_id: getKeyId(key) };
+  }
+  const params = { salt: crypto.randomBytes(16).toString("base64"), ...SCRYPT };
+  const key = crypto.scryptSync(
+    secret.passphrase,
+    Buffer.from(params.salt, "base64"),
+    KEY_LENGTH,
+    { ...SCRYPT, maxmem: SCRYPT_MAXMEM }
+  );
+  return { kdf: "scrypt", ...params, key_id: getKeyId(key) };
+}
+
+// Check a keyring entry
+const isKeyEntry = (entry) =>
+  !!entry &&
+  KDFS.includes(entry.kdf) &&
+  typeof entry.key_id === "string" &&
+  (entry.kdf === "key-file" || typeof entry.salt === "string");
+
+/**
+ * Read the keyring of the data directory: { version, cipher, created_at,
+ * kdf, key_id, and the scrypt salt and cost for passphrases }, with the
+ * same for the new key under `next` while it is being rotated. Null when
+ * the data is not encrypted.
+ */
+function readKeyring(file = dataPath(KEYRING_FILE)) {
+  if (!fs.existsSync(file)) return null;
+  const keyring = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (
+    keyring?.version !== FORMAT_VERSION ||
+    keyring.cipher !== CIPHER ||
+    !isKeyEntry(keyring) ||
+    (keyring.next !== undefined && !isKeyEntry(keyring.next))
+  ) {
+    throw encryptionError(`${file} is not a valid keyring`);
+  }
+  return keyring;
+}
+
+// Keys unlocked in this run, by key id
+const keys = new Map();
+// Keyring of the data directory, read on first use
+let loaded = null;
+// Key new files are encrypted with, overriding the keyring's (null for
+// plain files), see setWriteKey
+let writeKey;
+
+/**
+ * Unlock a keyring entry with its secret, so that files encrypted with it
+ * can be read for the rest of the run. Returns the key.
+ */
+function unlockKey(entry, secret) {
+  const key = keys.get(entry.key_id) ?? deriveKey(entry, secret);
+  keys.set(entry.key_id, key);
+  return key;
+}
+
+/**
+ * Key of the data directory, unlocked with the secret from the
+ * environment on first use, or null when the data is not encrypted
+ */
+function getDataKey() {
+  const file = dataPath(KEYRING_FILE);
+  if (loaded?.file !== file) loaded = { file, keyring: readKeyring(file) };
+
+  const { keyring } = loaded;
+  if (!keyring) return null;
+  return keys.get(keyring.key_id) ?? unlockKey(keyring, readSecret(keyring));
+}
+
+/**
+ * Encrypt files written from now on with `key` instead of the data
+ * directory's key, or write them plain with null (e.g. to rotate keys)
+ */
+const setWriteKey = (key) => {
+  writeKey = key;
+};
+
+// Header fields of encrypted contents, or null for plain ones
+const parseHeader = (header, file) => {
+  if (
+    header.length < MAGIC.length ||
+    !header.subarray(0, MAGIC.length).equals(MAGIC)
+  ) {
+    return null;
+  }
+  if (header.length < HEADER_LENGTH) {
+    throw encryptionError(`${file} is truncated`);
+  }
+  if (header[MAGIC.length] !== FORMAT_VERSION) {
+    throw encryptionError(
+      `${file} uses an unknown encryption format, update data-exports to read it`
+    );
+  }
+  const keyIdStart = MAGIC.length + 1;
+  return {
+    header: header.subarray(0, HEADER_LENGTH),
+    keyId: header
+      .subarray(keyIdStart, keyIdStart + KEY_ID_LENGTH)
+      .toString("hex"),
+    noncePrefix: header.subarray(keyIdStart + KEY_ID_LENGTH, HEADER_LENGTH),
+  };
+};
+
+// Key a file is encrypted with, as its header names it
+const getFileKey = (keyId, file) => {
+  if (!keys.has(keyId)) getDataKey();
+  const key = keys.get(keyId);
+  if (!key) {
+    throw encryptionError(
+      loaded?.keyring
+        ? `${file} is encrypted with another key, finish the key rotation with rotate-key`
+        : `${file} is encrypted, but the data directory has no ${KEYRING_FILE}`
+    );
+  }
+  return key;
+};
+
+// Nonce of a segment
+const getNonce = (noncePrefix, index, last) => {
+  const nonce = Buffer.alloc(NONCE_LENGTH);
+  noncePrefix.copy(nonce);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  nonce[NONCE_LENGTH - 1] = last ? 1 : 0;
+  return nonce;
+};
+
+// Encrypt a segment, returning the ciphertext and tag as buffers
+const sealSegment = (key, fields, index, last, segment) => {
+  const cipher = crypto.createCipheriv(
+    CIPHER,
+    key,
+    getNonce(fields.noncePrefix, index, last)
+  );
+  cipher.setAAD(fields.header);
+  return [cipher.update(segment), cipher.final(), cipher.getAuthTag()];
+};
+
+// Decrypt and authenticate a segment, failing on modified contents
+const openSegment = (key, fields, index, last, sealed, file) => {
+  if (sealed.length < TAG_LENGTH) {
+    throw encryptionError(`${file} is truncated`);
+  }
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    key,
+    getNonce(fields.noncePrefix, index, last)
+  );
+  decipher.setAAD(fields.header);
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+  try {
+    return Buffer.concat([
+      decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)),
+      decipher.final(),
+    ]);
+  } catch {
+    throw encryptionError(
+      `${file} is damaged or was modified since it was encrypted`
+    );
+  }
+};
+
+// Read the start of a file
+const readStart = (file, length) => {
+  const fd = fs.openSync(file, "r");
+  try {
+    const start = Buffer.alloc(length);
+    return start.subarray(0, fs.readSync(fd, start, 0, length, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Id of the key a file is encrypted with, or null for a plain file
+ */
+const getFileKeyId = (file) =>
+  parseHeader(readStart(file, HEADER_LENGTH), file)?.keyId ?? null;
+
+/**
+ * Encrypt file contents with the data directory's key (see setWriteKey),
+ * or return them as they are when the data is not encrypted
+ */
+function encryptContents(contents) {
+  const key = writeKey === undefined ? getDataKey() : writeKey;
+  if (!key) return contents;
+
+  const plaintext = Buffer.from(contents);
+  const header = Buffer.concat([
+    MAGIC,
+    Buffer.from([FORMAT_VERSION]),
+    Buffer.from(getKeyId(key), "hex"),
+    crypto.randomBytes(NONCE_PREFIX_LENGTH),
+  ]);
+  const fields = parseHeader(header);
+  // Empty contents still get a (last) segment
+  const count = Math.max(1, Math.ceil(plaintext.length / SEGMENT_LENGTH));
+  const parts = [header];
+  for (let index = 0; index < count; index++) {
+    const start = index * SEGMENT_LENGTH;
+    parts.push(
+      ...sealSegment(
+        key,
+        fields,
+        index,
+        index === count - 1,
+        plaintext.subarray(start, start + SEGMENT_LENGTH)
+      )
+    );
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decrypt the contents of a file if they are encrypted; plain contents are
+ * returned as they are
+ */
+function decryptContents(contents, file) {
+  const fields = parseHeader(contents, file);
+  if (!fields) return contents;
+
+  const key = getFileKey(fields.keyId, file);
+  const body = contents.subarray(HEADER_LENGTH);
+  const count = Math.max(1, Math.ceil(body.length / SEALED_SEGMENT_LENGTH));
+  const segments = [];
+  for (let index = 0; index < count; index++) {
+    const start = index * SEALED_SEGMENT_LENGTH;
+    segments.push(
+      openSegment(
+        key,
+        fields,
+        index,
+        index === count - 1,
+        body.subarray(start, start + SEALED_SEGMENT_LENGTH),
+        file
+      )
+    );
+  }
+  return Buffer.concat(segments);
+}
+
+/**
+ * Readable stream of a file's contents, decrypted one authenticated
+ * segment at a time if the file is encrypted
+ */
+function createDecryptedStream(file) {
+  const fields = parseHeader(readStart(file, HEADER_LENGTH), file);
+  if (!fields) return fs.createReadStream(file);
+
+  const key = getFileKey(fields.keyId, file);
+  let index = 0;
+  // Bytes of segments not decrypted yet. A segment is only known not to
+  // be the last one once more bytes follow it.
+  let pending = Buffer.alloc(0);
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      pending = Buffer.concat([pending, chunk]);
+      try {
+        while (pending.length > SEALED_SEGMENT_LENGTH) {
+          const sealed = pending.subarray(0, SEALED_SEGMENT_LENGTH);
+          this.push(openSegment(key, fields, index++, false, sealed, file));
+          pending = pending.subarray(SEALED_SEGMENT_LENGTH);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        callback(null, openSegment(key, fields, index, true, pending, file));
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+
+  const input = fs.createReadStream(file, { start: HEADER_LENGTH });
+  input.on("error", (error) => output.destroy(error));
+  return input.pipe(output);
+}
+
+module.exports = {
+  CIPHER,
+  FORMAT_VERSION,
+  KEYRING_FILE,
+  KEY_FILE_ENV,
+  PASSPHRASE_ENV,
+  createDecryptedStream,
+  createKeyEntry,
+  decryptContents,
+  encryptContents,
+  generateKeyFile,
+  getDataKey,
+  getFileKeyId,
+  readKeyring,
+  readSecret,
+  setWriteKey,
+  unlockKey,
+};
@@ -0,0 +1,75 @@
+const axios = require("axios");
+
+// Network error codes worth retrying
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNABORTED",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// 5xx, 429 and network failures are transient; everything else is final
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_ERROR_CODES.has(error.code) || !!error.request;
+};
+
+/**
+ * GET a URL, retrying transient failures with exponential backoff.
+ * 429 responses wait for the server's Retry-After delay when one is given.
+ * The last error is rethrown once retries are exhausted.
+ */
+async function getWithRetry(
+  url,
+  config = {},
+  { retries = 5, baseDelay = 1000, maxDelay = 60 * 1000 } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.get(url, { timeout: 30 * 1000, ...config });
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= retries) throw error;
+
+      const status = error.response?.status;
+      const retryAfter =
+        status === 429
+          ? parseRetryAfter(error.response.headers?.["retry-after"])
+          : null;
+      const delay =
+        retryAfter !== null
+          ? retryAfter
+          : Math.min(maxDelay, baseDelay * 2 ** attempt) *
+            (0.5 + Math.random() / 2);
+
+      const reason = status || error.code || error.message;
+      console.log(
+        `Request failed (${reason}), retrying in ${(delay / 1000).toFixed(
+          1
+        )}s (attempt ${attempt + 1}/${retries})...`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  getWithRetry,
+  parseRetryAfter,
+  sleep,
+};
@@ -0,0 +1,40 @@
+const os = require("os");
+const path = require("path");
+
+// Repository root, so that scripts work from any directory
+const ROOT_DIR = path.join(__dirname, "..");
+
+// Environment file with tokens and API keys
+const ENV_FILE = path.join(ROOT_DIR, ".env");
+
+// Per-user defaults for the command line (see loadConfig)
+const CONFIG_FILE = path.join(
+  process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+  "data-exports",
+  "config.json"
+);
+
+// Where exported data lives, set with --data-dir or the config file
+let dataDir = path.join(ROOT_DIR, "data");
+
+// Use another data directory for the rest of the run
+const setDataDir = (dir) => {
+  dataDir = path.resolve(dir);
+};
+
+// Path of a file or directory in the data directory
+const dataPath = (...parts) => path.join(dataDir, ...parts);
+
+// Expand a leading "~" and resolve relative paths against a directory (the
+// repository root by default, where .env is)
+const resolvePath = (value, baseDir = ROOT_DIR) =>
+  path.resolve(baseDir, value.replace(/^~(?=$|\/)/, os.homedir()));
+
+module.exports = {
+  CONFIG_FILE,
+  ENV_FILE,
+  ROOT_DIR,
+  dataPath,
+  resolvePath,
+  setDataDir,
+};
@@ -0,0 +1,38 @@
+const axios = require("axios");
+const { crossRates } = require("./common");
+
+const EXCHANGE_API_URL = "https://api.exchangeratesapi.io/v1";
+const INTERMEDIATE_CURRENCY = "EUR";
+
+// Fetch rates for a date ("latest" for current rates) relative to EUR
+const fetchRates = async (date, currencies, baseCurrency) => {
+  const response = await axios.get(`${EXCHANGE_API_URL}/${date}`, {
+    params: {
+      access_key: process.env.EXCHANGE_RATES_API_KEY,
+      base: INTERMEDIATE_CURRENCY,
+      symbols: [...currencies, baseCurrency].join(","),
+    },
+  });
+
+  if (!response.data?.rates) return {};
+
+  // If we have 1 EUR = X USD and 1 EUR = Y KZT, then 1 USD = (Y/X) KZT
+  return crossRates(
+    { anchor: INTERMEDIATE_CURRENCY, rates: response.data.rates },
+    currencies,
+    baseCurrency
+  );
+};
+
+/**
+ * exchangeratesapi.io, using EUR as the intermediate currency.
+ * Needs EXCHANGE_RATES_API_KEY.
+ */
+module.exports = {
+  name: "api",
+  isAvailable: () => !!process.env.EXCHANGE_RATES_API_KEY,
+  getRates: (date, currencies, baseCurrency) =>
+    fetchRates(date, currencies, baseCurrency),
+  getLatestRates: (currencies, baseCurrency) =>
+    fetchRates("latest", currencies, baseCurrency),
+};
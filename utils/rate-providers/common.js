@@ -0,0 +1,115 @@
+const fs = require("fs");
+const dayjs = require("dayjs");
+const { resolvePath } = require("../paths");
+
+// Days to look back when a rate file has no entry for a date
+// (weekends and bank holidays)
+const MAX_LOOKBACK_DAYS = 7;
+
+/**
+ * Convert a rate table quoted against an anchor currency into rates to the
+ * base currency. `table.rates[currency]` is how many units of `currency`
+ * one unit of `table.anchor` buys.
+ */
+const crossRates = (table, currencies, baseCurrency) => {
+  const unitsPerAnchor = (currency) =>
+    currency === table.anchor ? 1 : table.rates[currency];
+
+  const baseUnits = unitsPerAnchor(baseCurrency);
+  if (!baseUnits) return {};
+
+  const result = {};
+  for (const currency of currencies) {
+    const units = unitsPerAnchor(currency);
+    if (units) result[currency] = baseUnits / units;
+  }
+  return result;
+};
+
+/**
+ * Find the rate table for a date, falling back to the closest earlier date
+ * within MAX_LOOKBACK_DAYS
+ */
+const findTable = (tablesByDate, date) => {
+  for (let offset = 0; offset <= MAX_LOOKBACK_DAYS; offset++) {
+    const day = dayjs(date).subtract(offset, "day").format("YYYY-MM-DD");
+    if (tablesByDate.has(day)) return tablesByDate.get(day);
+  }
+  return null;
+};
+
+// Read a rate source: a single file, or every file in a directory
+const readSource = (source) => {
+  if (fs.statSync(source).isDirectory()) {
+    return fs
+      .readdirSync(source)
+      .sort()
+      .map((file) => fs.readFileSync(`${source}/${file}`, "utf8"));
+  }
+  return [fs.readFileSync(source, "utf8")];
+};
+
+/**
+ * Create a provider backed by a local rates file, given relative to the
+ * repository root or with "~". `parse(contents, base)` turns the file
+ * contents into a Map of YYYY-MM-DD → { anchor, rates }; the file is read
+ * on first use only.
+ */
+const createFileProvider = (name, getSource, parse) => {
+  let tablesByDate = null;
+  // Relative paths are resolved like .env's, not against the working
+  // directory
+  const getPath = () => {
+    const source = getSource();
+    return source ? resolvePath(source) : null;
+  };
+  // Base currency → whether any table quotes it
+  const quotesBase = new Map();
+
+  const load = (baseCurrency) => {
+    if (!tablesByDate) {
+      tablesByDate = new Map();
+      for (const contents of readSource(getPath())) {
+        for (const [date, table] of parse(contents, baseCurrency)) {
+          tablesByDate.set(date, table);
+        }
+      }
+    }
+    return tablesByDate;
+  };
+
+  return {
+    name,
+    isAvailable: () => {
+      const source = getPath();
+      return !!source && fs.existsSync(source);
+    },
+    getRates: async (date, currencies, baseCurrency) => {
+      const tables = load(baseCurrency);
+      // Rates can only be crossed into a currency the file quotes (ECB has
+      // no KZT, for example), so skip the provider once instead of finding
+      // nothing for every date
+      if (!quotesBase.has(baseCurrency)) {
+        const quoted = [...tables.values()].some(
+          (table) =>
+            table.anchor === baseCurrency || table.rates[baseCurrency] > 0
+        );
+        quotesBase.set(baseCurrency, quoted);
+        if (!quoted) {
+          console.error(
+            `Exchange rate provider "${name}" has no ${baseCurrency} rates, skipping it (set BASE_CURRENCY to a currency it quotes)`
+          );
+        }
+      }
+      if (!quotesBase.get(baseCurrency)) return {};
+
+      const table = findTable(tables, date);
+      return table ? crossRates(table, currencies, baseCurrency) : {};
+    },
+  };
+};
+
+module.exports = {
+  createFileProvider,
+  crossRates,
+};
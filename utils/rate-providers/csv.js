@@ -0,0 +1,30 @@
+const { createFileProvider } = require("./common");
+
+/**
+ * Parse a date,currency,rate CSV, where rate is the value of one unit of
+ * `currency` in the file's quote currency (EXCHANGE_RATES_CSV_BASE, by
+ * default the base currency)
+ */
+const parseRates = (contents, baseCurrency) => {
+  const anchor = process.env.EXCHANGE_RATES_CSV_BASE || baseCurrency;
+  const tables = new Map();
+
+  for (const line of contents.trim().split(/\r?\n/)) {
+    const [date, currency, rate] = line.split(",").map((value) => value.trim());
+    // Skip the header and malformed rows
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !(Number(rate) > 0)) continue;
+
+    if (!tables.has(date)) tables.set(date, { anchor, rates: {} });
+    tables.get(date).rates[currency.toUpperCase()] = 1 / Number(rate);
+  }
+  return tables;
+};
+
+/**
+ * User-supplied rates from a CSV file (EXCHANGE_RATES_CSV_FILE)
+ */
+module.exports = createFileProvider(
+  "csv",
+  () => process.env.EXCHANGE_RATES_CSV_FILE,
+  parseRates
+);
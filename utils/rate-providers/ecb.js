@@ -0,0 +1,50 @@
+const { createFileProvider } = require("./common");
+
+// Parse the ECB XML feed (eurofxref-hist.xml / eurofxref-daily.xml)
+const parseXml = (contents) => {
+  const tables = new Map();
+  const dayPattern =
+    /<Cube\s+time=["'](\d{4}-\d{2}-\d{2})["']\s*>([\s\S]*?)<\/Cube>/g;
+  const ratePattern =
+    /<Cube\s+currency=["']([A-Z]{3})["']\s+rate=["']([\d.]+)["']/g;
+
+  for (const [, date, body] of contents.matchAll(dayPattern)) {
+    const rates = {};
+    for (const [, currency, rate] of body.matchAll(ratePattern)) {
+      rates[currency] = Number(rate);
+    }
+    tables.set(date, { anchor: "EUR", rates });
+  }
+  return tables;
+};
+
+// Parse the ECB CSV file (eurofxref-hist.csv): Date,USD,JPY,... per row
+const parseCsv = (contents) => {
+  const tables = new Map();
+  const [header, ...rows] = contents.trim().split(/\r?\n/);
+  const currencies = header.split(",").map((column) => column.trim());
+
+  for (const row of rows) {
+    const values = row.split(",").map((value) => value.trim());
+    const rates = {};
+    currencies.forEach((currency, index) => {
+      const rate = Number(values[index]);
+      if (index > 0 && currency && rate > 0) rates[currency] = rate;
+    });
+    tables.set(values[0], { anchor: "EUR", rates });
+  }
+  return tables;
+};
+
+/**
+ * European Central Bank euro reference rates from a downloaded file
+ * (ECB_RATES_FILE), in either the XML or the CSV format
+ */
+module.exports = createFileProvider(
+  "ecb",
+  () => process.env.ECB_RATES_FILE,
+  (contents) =>
+    contents.trimStart().startsWith("<")
+      ? parseXml(contents)
+      : parseCsv(contents)
+);
@@ -0,0 +1,44 @@
+const api = require("./api");
+const csv = require("./csv");
+const ecb = require("./ecb");
+const nbk = require("./nbk");
+
+const providers = { api, csv, ecb, nbk };
+
+// Used when EXCHANGE_RATE_PROVIDERS is not set
+const DEFAULT_CHAIN = ["api", "ecb", "nbk", "csv"];
+
+// Resolved once per run
+let chain = null;
+
+/**
+ * Exchange rate providers to try, in order, as configured with
+ * EXCHANGE_RATE_PROVIDERS (comma-separated). Providers that are not set up
+ * (no API key, no rates file) are left out.
+ */
+const getProviderChain = () => {
+  if (chain) return chain;
+
+  const names = process.env.EXCHANGE_RATE_PROVIDERS
+    ? process.env.EXCHANGE_RATE_PROVIDERS.split(",").map((name) =>
+        name.trim().toLowerCase()
+      )
+    : DEFAULT_CHAIN;
+
+  chain = names
+    .filter((name) => {
+      if (!providers[name]) {
+        console.error(`Unknown exchange rate provider "${name}", skipping`);
+        return false;
+      }
+      return true;
+    })
+    .map((name) => providers[name])
+    .filter((provider) => provider.isAvailable());
+  return chain;
+};
+
+module.exports = {
+  getProviderChain,
+  providers,
+};
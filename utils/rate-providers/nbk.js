@@ -0,0 +1,41 @@
+const { createFileProvider } = require("./common");
+
+// Text content of the first matching XML tag
+const getTag = (xml, tag) =>
+  new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`).exec(xml)?.[1];
+
+/**
+ * Parse National Bank of Kazakhstan rates XML (get_rates.cfm). Each
+ * <rates> block holds one date (DD.MM.YYYY) and an <item> per currency
+ * with the KZT price of `quant` units.
+ */
+const parseRates = (contents) => {
+  const tables = new Map();
+  const blocks = contents.match(/<rates>[\s\S]*?<\/rates>/g) || [];
+
+  for (const block of blocks) {
+    const [day, month, year] = (getTag(block, "date") || "").split(".");
+    if (!year) continue;
+
+    const rates = {};
+    for (const item of block.match(/<item>[\s\S]*?<\/item>/g) || []) {
+      const currency = getTag(item, "title");
+      const price = Number(getTag(item, "description"));
+      const quant = Number(getTag(item, "quant")) || 1;
+      // Rates are anchored on KZT: units of the currency per 1 KZT
+      if (currency && price > 0) rates[currency] = quant / price;
+    }
+    tables.set(`${year}-${month}-${day}`, { anchor: "KZT", rates });
+  }
+  return tables;
+};
+
+/**
+ * National Bank of Kazakhstan official rates from a saved XML file, or a
+ * directory of them (NBK_RATES_FILE)
+ */
+module.exports = createFileProvider(
+  "nbk",
+  () => process.env.NBK_RATES_FILE,
+  parseRates
+);
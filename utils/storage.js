@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { parser } = require("stream-json");
+const Assembler = require("stream-json/Assembler");
+const {
+  createDecryptedStream,
+  decryptContents,
+  encryptContents,
+} = require("./encryption");
+
+// Ensure a directory exists
+const ensureDir = (dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+};
+
+// Read a file's contents, decrypted if it is encrypted
+const readContents = (file) => decryptContents(fs.readFileSync(file), file);
+
+// Read a JSON file, returning the fallback if it does not exist
+const readJson = (file, fallback = null) => {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(readContents(file).toString("utf8"));
+};
+
+// Write a file, creating the parent directory if needed.
+// The file is written next to the target and renamed into place, so an
+// interrupted write never leaves a truncated file behind.
+const writeFileAtomic = (file, contents) => {
+  ensureDir(path.dirname(file));
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, contents);
+  fs.renameSync(tmpFile, file);
+};
+
+// Read a JSON array file one element at a time, decrypting it if needed, so files larger than
+// memory can be processed. With a `key`, the file may also be an object
+// holding the array under that key: `onStart` then gets the fields written
+// before the array (null for a bare array file) ahead of the first element.
+// Elements are passed with their index. Resolves with the number of
+// elements read.
+const streamJsonArray = (file, onElement, { key = null, onStart } = {}) =>
+  new Promise((resolve, reject) => {
+    let count = 0;
+    // Depth of the array once it starts, -1 after it ends
+    let arrayDepth = 0;
+    const assembler = new Assembler();
+    const tokens = createDecryptedStream(file)
+      .on("error", reject)
+      .pipe(parser({ streamValues: false }))
+      .on("error", reject);
+
+    tokens
+      .on("data", (token) => {
+        assembler.consume(token);
+        try {
+          if (!arrayDepth) {
+            if (
+              token.name === "startArray" &&
+              (assembler.depth === 1 ||
+                (key !== null &&
+                  assembler.depth === 2 &&
+                  assembler.path[0] === key))
+            ) {
+              arrayDepth = assembler.depth;
+              onStart?.(arrayDepth === 1 ? null : assembler.stack[0]);
+            }
+          } else if (arrayDepth > 0) {
+            if (assembler.depth < arrayDepth) {
+              arrayDepth = -1;
+            } else if (
+              assembler.depth === arrayDepth &&
+              assembler.current.length
+            ) {
+              // An element was completed; hand it over instead of keeping it
+              onElement(assembler.current.pop(), count);
+              count++;
+            }
+          }
+        } catch (error) {
+          tokens.destroy();
+          reject(error);
+        }
+      })
+      .on("end", () => {
+        if (arrayDepth) {
+          resolve(count);
+        } else {
+          reject(new Error("expected a JSON array"));
+        }
+      });
+  });
+
+// Write data as pretty-printed JSON, encrypted when the data directory is
+// (see utils/encryption.js) unless `encrypt` is false, e.g. for settings
+// edited by hand
+const writeJson = (file, data, { encrypt = true } = {}) => {
+  const contents = JSON.stringify(data, null, 2);
+  writeFileAtomic(file, encrypt ? encryptContents(contents) : contents);
+};
+
+// Read a gzip-compressed JSON file, decrypting it if needed
+const readGzipJson = (file) =>
+  JSON.parse(zlib.gunzipSync(readContents(file)).toString("utf8"));
+
+// Write data as gzip-compressed JSON, encrypted like writeJson
+const writeGzipJson = (file, data) => {
+  writeFileAtomic(file, encryptContents(zlib.gzipSync(JSON.stringify(data))));
+};
+
+// Delete a file if it exists
+const removeFile = (file) => {
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+};
+
+module.exports = {
+  ensureDir,
+  readGzipJson,
+  readContents,
+  readJson,
+  removeFile,
+  streamJsonArray,
+  writeFileAtomic,
+  writeGzipJson,
+  writeJson,
+};
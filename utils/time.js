@@ -0,0 +1,52 @@
+const dayjs = require("dayjs");
+
+// Date formatters per timezone (null for unknown timezones); creating them
+// is much slower than using them
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      });
+    } catch (error) {
+      // Unknown timezone, fall back to local time
+    }
+    formatters.set(timezone, formatter);
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Wall-clock time of a millisecond timestamp in an IANA timezone (such as
+ * a venue's "Asia/Almaty"), as "YYYY-MM-DDTHH:mm:ss". Without a known
+ * timezone the machine's local time is used. Returns null without a
+ * timestamp.
+ */
+function toLocalTime(timestamp, timezone) {
+  if (timestamp === null || timestamp === undefined) return null;
+
+  const formatter = timezone ? getFormatter(timezone) : null;
+  if (!formatter) {
+    return dayjs(Number(timestamp)).format("YYYY-MM-DDTHH:mm:ss");
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(Number(timestamp))) {
+    parts[type] = value;
+  }
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+module.exports = {
+  toLocalTime,
+};